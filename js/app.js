@@ -17,11 +17,41 @@
     let currentSettings = null;
     let flashSettings = null;
     let expanderData = null;        // array of { index, active, pins }
+    let flashExpanderData = null;   // flash-persisted pin maps (null if firmware can't report them)
+    let flashPinMapWarned = false;
+    let ledMapSupported = false;    // firmware reports per-button LEDs (get_led_map)
+    let ledMapWarned = false;
+    let settingsForm = null;        // PicoCTRSettingsForm built from config.settings.fields
+    let missingSettingsWarned = false;
+    let profileLibrary = null;      // PicoCTRProfileLibrary (null if IndexedDB unavailable)
+    let keyPickerTarget = null;     // { expIdx, pinIdx, label, current } being edited in the key picker
+    let keyCaptureActive = false;
+    let panelView = null;           // PicoCTRPanelView for the graphical mapping view
+    let panelEditorPin = null;      // { expIdx, pinIdx } open in the panel editor
+    let mappingView = 'table';      // 'table' | 'panel'
+    const MAPPING_VIEW_STORAGE_KEY = 'picoctr.mappingView';
+    let pinTester = null;           // PicoCTRInputTester shared by input test and identify
+    let inputTestActive = false;
+    let identifyActive = false;
+    let lastPressedPins = new Set();
+    let diffState = null;           // { ram, flash, profile, profileName } for the compare panel
+    let selectedPins = new Set();   // "expander:pin" keys ticked in the mapping table
+    let lastSelectedIndex = null;   // row of the last ticked box, for shift-click ranges
+    const editHistory = new PicoCTREditHistory();
+    let historyTimer = null;
+    let historyBusy = false;        // an undo/redo is being applied to the device
+    const HISTORY_COALESCE_MS = 400;
+    let mappingIssues = [];         // PicoCTRMappingValidator results for expanderData
+    let sharedProfile = null;       // profile opened from a #profile= link, waiting for a matching device
+    let presets = null;             // from picoctr-presets.json, loaded when the preset dialog first opens
+    let presetPlan = null;          // PicoCTRPresets.plan() result for the selected preset
+    let panelLayouts = {};          // from picoctr-panels.json, by device target or board
 
     // Firmware update state
     let picoboot = null;
     let selectedUF2 = null;
     let isFlashing = false;
+    let isBackingUp = false;
     let latestRelease = null;
     let installedFwInfo = null;     // from flash read in PICOBOOT mode
 
@@ -29,6 +59,11 @@
     let colorPicker = null;
     let liveColorTimer = null;
     const LIVE_COLOR_INTERVAL = 80;
+    let ledPreview = null;          // PicoCTRLedPreview of the strip, runs with or without a device
+    let customAnimation = PicoCTRCustomAnimation.defaults();    // edited in the settings section
+    let customAnimationSupported = false;   // firmware answered get_custom_animation with a usable id
+    let customAnimationDeviceId = null;     // rgb_animation value reported by get_custom_animation
+    let customAnimationWarned = false;
 
     // ========================================================================
     // DOM References
@@ -45,6 +80,7 @@
         statusText: $('.status-text'),
         deviceInfoSection: $('#device-info-section'),
         settingsSection: $('#settings-section'),
+        settingsOfflineNote: $('#settings-offline-note'),
         pinMappingSection: $('#pin-mapping-section'),
         actionsSection: $('#actions-section'),
         unsavedBanner: $('#unsaved-banner'),
@@ -57,26 +93,90 @@
         infoUsbId: $('#info-usb-id'),
         infoGamepads: $('#info-gamepads'),
         // Settings
-        enableRgb: $('#setting-enable_rgb'),
-        animation: $('#setting-rgb_animation'),
+        settingsFields: $('#settings-fields'),
+        settingsGroups: $('#settings-groups'),
         colorR: $('#setting-rgb_color_r'),
         colorG: $('#setting-rgb_color_g'),
         colorB: $('#setting-rgb_color_b'),
         colorHexDisplay: $('#color-hex-display'),
-        ledCount: $('#setting-led_count'),
-        brightness: $('#setting-led_brightness'),
-        brightnessValue: $('#brightness-value'),
+        ledPreview: $('#led-preview'),
+        ledPreviewNote: $('#led-preview-note'),
+        customAnimationGroup: $('#custom-animation-group'),
+        customStops: $('#custom-stops'),
+        btnCustomAddStop: $('#btn-custom-add-stop'),
+        customPeriod: $('#custom-period'),
+        customDirection: $('#custom-direction'),
+        customEasing: $('#custom-easing'),
+        btnCustomUpload: $('#btn-custom-upload'),
+        customAnimationSize: $('#custom-animation-size'),
         // Pin mapping
         pinMappingBody: $('#pin-mapping-body'),
+        pinMappingTableWrapper: $('#pin-mapping-table-wrapper'),
+        pinPanelWrapper: $('#pin-panel-wrapper'),
+        pinPanelView: $('#pin-panel-view'),
+        panelEditor: $('#panel-editor'),
+        btnViewTable: $('#btn-view-table'),
+        btnViewPanel: $('#btn-view-panel'),
         mappingAccordion: $('#button-mapping-accordion'),
         btnMappingExport: $('#btn-mapping-export'),
         btnMappingImport: $('#btn-mapping-import'),
         mappingFileInput: $('#mapping-file-input'),
+        btnMappingShare: $('#btn-mapping-share'),
+        btnMappingPrint: $('#btn-mapping-print'),
+        referenceCard: $('#reference-card'),
+        btnMappingPresets: $('#btn-mapping-presets'),
+        mappingIssues: $('#mapping-issues'),
+        pinSelectAll: $('#pin-select-all'),
+        bulkCount: $('#bulk-count'),
+        bulkType: $('#bulk-type'),
+        bulkTarget: $('#bulk-target'),
+        btnBulkClear: $('#btn-bulk-clear'),
+        bulkLedGroup: $('#bulk-led-group'),
+        bulkLedColor: $('#bulk-led-color'),
+        btnBulkLed: $('#btn-bulk-led'),
+        pinColLed: $('#pin-col-led'),
+        bulkPlayerFrom: $('#bulk-player-from'),
+        bulkPlayerTo: $('#bulk-player-to'),
+        btnBulkCopy: $('#btn-bulk-copy'),
+        btnBulkSwap: $('#btn-bulk-swap'),
+        bulkShift: $('#bulk-shift'),
+        btnBulkShift: $('#btn-bulk-shift'),
+        presetDialog: $('#preset-dialog'),
+        presetSelect: $('#preset-select'),
+        presetDescription: $('#preset-description'),
+        presetSummary: $('#preset-summary'),
+        presetChanges: $('#preset-changes'),
+        presetCancel: $('#preset-cancel'),
+        presetLoad: $('#preset-load'),
+        btnInputTest: $('#btn-input-test'),
+        btnIdentify: $('#btn-identify'),
+        inputTestStatus: $('#input-test-status'),
+        // Profile library
+        profileLibrarySection: $('#profile-library-section'),
+        profileNameInput: $('#profile-name-input'),
+        btnProfileSave: $('#btn-profile-save'),
+        profileShowAll: $('#profile-show-all'),
+        profileList: $('#profile-list'),
+        profileListEmpty: $('#profile-list-empty'),
+        // Compare
+        diffSection: $('#diff-section'),
+        diffAccordion: $('#diff-accordion'),
+        btnDiffRefresh: $('#btn-diff-refresh'),
+        btnDiffLoad: $('#btn-diff-load'),
+        diffFileInput: $('#diff-file-input'),
+        diffProfileName: $('#diff-profile-name'),
+        diffOnlyChanges: $('#diff-only-changes'),
+        diffSelectAll: $('#diff-select-all'),
+        diffBody: $('#diff-body'),
+        diffApplySource: $('#diff-apply-source'),
+        btnDiffApply: $('#btn-diff-apply'),
         // Action buttons
         btnApply: $('#btn-apply'),
         btnRead: $('#btn-read'),
         btnReset: $('#btn-reset'),
-        btnUndo: $('#btn-undo'),
+        btnDiscard: $('#btn-discard'),
+        btnHistoryUndo: $('#btn-history-undo'),
+        btnHistoryRedo: $('#btn-history-redo'),
         btnBootsel: $('#btn-bootsel'),
         btnClearLog: $('#btn-clear-log'),
         btnBootstrap: $('#btn-bootstrap'),
@@ -86,6 +186,15 @@
         applyDialogCancel: $('#apply-dialog-cancel'),
         applyDialogConfirm: $('#apply-dialog-confirm'),
         applyDialogSave: $('#apply-dialog-save'),
+        applyDialogIssues: $('#apply-dialog-issues'),
+        // Key picker dialog
+        keyPickerDialog: $('#key-picker-dialog'),
+        keyPickerTarget: $('#key-picker-target'),
+        keyPickerSearch: $('#key-picker-search'),
+        btnKeyCapture: $('#btn-key-capture'),
+        keyPickerHint: $('#key-picker-hint'),
+        keyPickerList: $('#key-picker-list'),
+        keyPickerCancel: $('#key-picker-cancel'),
         // Color group
         colorGroup: $('#color-group'),
         // Firmware update
@@ -117,7 +226,17 @@
         fwInstalledRowBoard: $('#fw-installed-row-board'),
         fwInstalledRowVersion: $('#fw-installed-row-version'),
         fwInstalledRowGit: $('#fw-installed-row-git'),
+        fwBackupActions: $('#fw-backup-actions'),
+        btnFwBackup: $('#btn-fw-backup'),
+        btnFwRestore: $('#btn-fw-restore'),
+        fwBackupInput: $('#fw-backup-input'),
+        fwBackupStatus: $('#fw-backup-status'),
         btnFwFlash: $('#btn-fw-flash'),
+        fwOptVerify: $('#fw-opt-verify'),
+        fwOptDifferential: $('#fw-opt-differential'),
+        fwOptPreserve: $('#fw-opt-preserve'),
+        fwOptPreserveRow: $('#fw-opt-preserve-row'),
+        fwProtectedWarning: $('#fw-protected-warning'),
         fwProgressContainer: $('#fw-progress-container'),
         fwProgressFill: $('#fw-progress-fill'),
         fwProgressText: $('#fw-progress-text'),
@@ -172,440 +291,1938 @@
         dom.btnConnect.style.display = isConnected ? 'none' : '';
         dom.btnDisconnect.style.display = isConnected ? '' : 'none';
         dom.deviceInfoSection.style.display = isConnected ? '' : 'none';
-        dom.settingsSection.style.display = isConnected ? '' : 'none';
+        // Settings stay editable offline to drive the LED preview
+        dom.settingsOfflineNote.style.display = isConnected ? 'none' : '';
         dom.pinMappingSection.style.display = isConnected ? '' : 'none';
         dom.actionsSection.style.display = isConnected ? '' : 'none';
+        dom.profileLibrarySection.style.display = isConnected && profileLibrary ? '' : 'none';
+        dom.diffSection.style.display = isConnected ? '' : 'none';
+        if (!isConnected) {
+            stopIdentify();
+            stopInputTest();
+        }
+        if (!isConnected) {
+            diffState = null;
+            ledMapSupported = false;
+            customAnimationSupported = false;
+            customAnimationDeviceId = null;
+            // Offline, every listed setting can be tried in the preview
+            settingsForm?.setAvailable(null);
+            resetEditHistory();
+        }
         if (dom.bootstrapLink) dom.bootstrapLink.style.display = isConnected ? 'none' : '';
 
-        [dom.btnApply, dom.btnRead, dom.btnReset, dom.btnUndo, dom.btnBootsel].forEach(btn => {
+        [dom.btnApply, dom.btnRead, dom.btnReset, dom.btnDiscard, dom.btnBootsel].forEach(btn => {
             if (btn) btn.disabled = !isConnected;
         });
-    }
-
-    function populateAnimationSelect() {
-        const select = dom.animation;
-        select.innerHTML = '';
-        const options = picoctr.getEnumOptions('animations');
-        for (const opt of options) {
-            const el = document.createElement('option');
-            el.value = opt.id;
-            el.textContent = opt.label;
-            select.appendChild(el);
-        }
+        updateHistoryButtons();
+        updateCustomAnimationStatus();
     }
 
     function updateUIFromSettings(settings) {
         if (!settings) return;
         currentSettings = { ...settings };
+        settingsForm.setValues(settings);
+
+        // The color picker and hex readout mirror the rgb_color inputs
+        if (settings.rgb_r !== undefined) {
+            const r = settings.rgb_r || 0;
+            const g = settings.rgb_g || 0;
+            const b = settings.rgb_b || 0;
+            dom.colorHexDisplay.textContent = rgbToHex(r, g, b);
+            if (colorPicker) {
+                colorPicker.color.rgb = { r, g, b };
+            }
+        }
+    }
 
-        dom.enableRgb.checked = !!settings.enable_rgb;
-        dom.animation.value = settings.rgb_animation || 0;
+    function getSettingsFromUI() {
+        return settingsForm.values();
+    }
 
-        const r = settings.rgb_r || 0;
-        const g = settings.rgb_g || 0;
-        const b = settings.rgb_b || 0;
-        dom.colorR.value = r;
-        dom.colorG.value = g;
-        dom.colorB.value = b;
-        dom.colorHexDisplay.textContent = rgbToHex(r, g, b);
-        if (colorPicker) {
-            colorPicker.color.rgb = { r, g, b };
+    /** Drop settings the connected firmware doesn't have (e.g. newer fields from a profile) */
+    function deviceSettings(settings) {
+        return Object.fromEntries(Object.entries(settings).filter(([key]) => settingsForm.isAvailable(key)));
+    }
+
+    /** A settings input changed */
+    function onSettingInput(name) {
+        if (name === 'rgb_animation') updateAnimationGroups();
+        checkUnsavedChanges();
+        scheduleHistoryRecord();
+        // Button LEDs past the end of the strip are flagged by the mapping checks
+        if (name === 'led_count') updateMappingIssues();
+    }
+
+    /** Pins whose mapping in expanderData differs from the flash-persisted map */
+    function getModifiedPins() {
+        const modified = [];
+        if (!expanderData || !flashExpanderData) return modified;
+
+        for (const exp of expanderData) {
+            if (!exp.active) continue;
+            const flashExp = flashExpanderData.find(e => e.index === exp.index);
+            if (!flashExp) continue;
+            exp.pins.forEach((pin, pinIdx) => {
+                const flashPin = flashExp.pins[pinIdx];
+                if (flashPin && !samePinOutput(pin, flashPin)) {
+                    modified.push({ expIdx: exp.index, pinIdx, pin });
+                }
+            });
+        }
+        return modified;
+    }
+
+    function checkUnsavedChanges() {
+        document.querySelectorAll('.field-modified, .pin-modified').forEach(el =>
+            el.classList.remove('field-modified', 'pin-modified')
+        );
+
+        const modifiedPins = getModifiedPins();
+        for (const { expIdx, pinIdx } of modifiedPins) {
+            pinElements(expIdx, pinIdx).forEach(el => el.classList.add('pin-modified'));
+        }
+
+        // Update accordion hint with count
+        const hint = dom.mappingAccordion?.querySelector('.accordion-hint');
+        if (hint && expanderData) {
+            const count = dom.pinMappingBody.querySelectorAll('.pin-row').length;
+            hint.textContent = modifiedPins.length
+                ? `${count} buttons · ${modifiedPins.length} unsaved`
+                : `${count} buttons`;
+        }
+
+        if (!flashSettings) {
+            dom.unsavedBanner.style.display = 'none';
+            return;
+        }
+
+        const uiSettings = getSettingsFromUI();
+        const changedFields = [];
+
+        for (const { name } of PicoCTRProfile.settingsFields(config)) {
+            if (uiSettings[name] !== flashSettings[name]) {
+                changedFields.push(name);
+                settingsForm.formGroup(name)?.classList.add('field-modified');
+            }
         }
 
-        dom.ledCount.value = settings.led_count || 64;
-        dom.brightness.value = settings.led_brightness || 0;
-        dom.brightnessValue.textContent = settings.led_brightness || 0;
+        if (changedFields.length > 0 || modifiedPins.length > 0) {
+            dom.unsavedBanner.style.display = '';
+            dom.unsavedBanner.innerHTML =
+                '<span>⚡ Device has unsaved changes &mdash; use <strong>Save to Flash</strong> to persist them</span>';
+        } else {
+            dom.unsavedBanner.style.display = 'none';
+        }
     }
 
-    function getSettingsFromUI() {
+    /** Parse a hex string like "0x1FF000" (or a plain number) from config */
+    function parseHex(val) {
+        if (typeof val === 'number') return val;
+        return parseInt(val, 16);
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function rgbToHex(r, g, b) {
+        return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+    }
+
+    /** "#rrggbb" to { r, g, b } */
+    function hexToRgb(hex) {
         return {
-            enable_rgb: dom.enableRgb.checked ? 1 : 0,
-            rgb_animation: parseInt(dom.animation.value) || 0,
-            rgb_r: parseInt(dom.colorR.value) || 0,
-            rgb_g: parseInt(dom.colorG.value) || 0,
-            rgb_b: parseInt(dom.colorB.value) || 0,
-            led_count: parseInt(dom.ledCount.value) || 64,
-            led_brightness: parseInt(dom.brightness.value) || 0,
+            r: parseInt(hex.slice(1, 3), 16),
+            g: parseInt(hex.slice(3, 5), 16),
+            b: parseInt(hex.slice(5, 7), 16),
         };
     }
 
-    const fieldDomMap = {
-        enable_rgb:      () => [dom.enableRgb],
-        rgb_animation:   () => [dom.animation],
-        rgb_r:           () => [dom.colorR, dom.colorG, dom.colorB],
-        rgb_g:           () => [dom.colorR, dom.colorG, dom.colorB],
-        rgb_b:           () => [dom.colorR, dom.colorG, dom.colorB],
-        led_count:       () => [dom.ledCount],
-        led_brightness:  () => [dom.brightness],
-    };
-
-    function checkUnsavedChanges() {
-        document.querySelectorAll('.field-modified').forEach(el =>
-            el.classList.remove('field-modified')
-        );
+    /** Show the color picker for the solid animation and the editor for the custom one */
+    function updateAnimationGroups() {
+        const id = getSettingsFromUI().rgb_animation;
+        dom.colorGroup.style.display = id === 0 ? '' : 'none';
+        dom.customAnimationGroup.style.display = id === customAnimationId() ? '' : 'none';
+    }
+
+    // ========================================================================
+    // Button Mapping UI
+    // ========================================================================
+
+    /** Labeled pins of all active expanders as [{ expIdx, pinIdx, pin }], sorted by label */
+    function getLabeledButtons() {
+        const buttons = [];
+        for (const exp of expanderData || []) {
+            if (!exp.active) continue;
+            exp.pins.forEach((pin, pinIdx) => {
+                if (pin.label && pin.label.trim()) {
+                    buttons.push({ expIdx: exp.index, pinIdx, pin });
+                }
+            });
+        }
+        return buttons.sort((a, b) => a.pin.label.localeCompare(b.pin.label));
+    }
+
+    /** Table rows and panel controls showing one pin */
+    function pinElements(expIdx, pinIdx) {
+        const attrs = `[data-expander="${expIdx}"][data-pin="${pinIdx}"]`;
+        return dom.pinMappingSection.querySelectorAll(`.pin-row${attrs}, .panel-control${attrs}`);
+    }
+
+    /** Re-render every mapping view (table and panel) from expanderData */
+    function renderPinMapping() {
+        renderPinMappingTable();
+        renderPanelView();
+        renderBulkToolbar();
+        checkUnsavedChanges();
+        updateMappingIssues();
+        if (inputTestActive) highlightPressedPins(pinTester.pressed);
+    }
+
+    /**
+     * Build the output type, target and code selects for one pin, wired to
+     * onPinFieldChange. Shared by the mapping table and the panel editor.
+     */
+    function buildPinEditors(expIdx, pinIdx, pin) {
+        const pmConfig = config.pin_mapping;
+        const hasKbd = picoctr.hasKeyboardSupport();
+        const hasMouse = picoctr.hasMouseSupport();
+        const numGamepads = deviceInfo ? deviceInfo.numGamepads : 4;
+
+        // Output Type select
+        const selType = document.createElement('select');
+        selType.className = 'pin-select';
+        selType.dataset.expander = expIdx;
+        selType.dataset.pin = pinIdx;
+        selType.dataset.field = 'output_type';
+        for (const ot of pmConfig.output_types) {
+            if (ot.value === 3 && !hasKbd) continue;
+            if (ot.value === 4 && !hasMouse) continue;
+            const opt = document.createElement('option');
+            opt.value = ot.value;
+            opt.textContent = ot.label;
+            selType.appendChild(opt);
+        }
+        selType.value = pin.output_type;
+        selType.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_type', parseInt(selType.value)));
+
+        // Output Target select
+        const selTarget = document.createElement('select');
+        selTarget.className = 'pin-select';
+        selTarget.dataset.field = 'output_target';
+        if (pin.output_type === 1 || pin.output_type === 2) {
+            for (let p = 0; p < numGamepads; p++) {
+                const opt = document.createElement('option');
+                opt.value = p;
+                opt.textContent = `Player ${p + 1}`;
+                selTarget.appendChild(opt);
+            }
+        } else {
+            const opt = document.createElement('option');
+            opt.value = 0;
+            opt.textContent = '\u2014';
+            selTarget.appendChild(opt);
+        }
+        selTarget.value = pin.output_target;
+        selTarget.disabled = pin.output_type === 0;
+        selTarget.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_target', parseInt(selTarget.value)));
+
+        // Output Code select
+        const selCode = document.createElement('select');
+        selCode.className = 'pin-select';
+        selCode.dataset.field = 'output_code';
+        populateCodeOptions(selCode, pin.output_type);
+        selCode.value = pin.output_code;
+        selCode.disabled = pin.output_type === 0;
+        selCode.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_code', parseInt(selCode.value)));
+
+        // Keyboard codes get a searchable picker next to the select
+        let codeControl = selCode;
+        if (pin.output_type === 3) {
+            codeControl = document.createElement('div');
+            codeControl.className = 'pin-code-picker';
+            const btnPick = document.createElement('button');
+            btnPick.type = 'button';
+            btnPick.className = 'btn btn-ghost btn-small';
+            btnPick.title = 'Search keys or press a key to select it';
+            btnPick.textContent = '🔍';
+            btnPick.addEventListener('click', () => openKeyPicker(expIdx, pinIdx, pin));
+            codeControl.append(selCode, btnPick);
+        }
+
+        // Button LED: position on the strip (blank for none) and color
+        let ledControl = null;
+        if (ledMapSupported) {
+            ledControl = document.createElement('div');
+            ledControl.className = 'pin-led-editor';
+            const inpIndex = document.createElement('input');
+            inpIndex.type = 'number';
+            inpIndex.className = 'pin-led-index';
+            inpIndex.min = 0;
+            inpIndex.max = 254;
+            inpIndex.placeholder = '—';
+            inpIndex.title = 'LED position on the strip (blank for none)';
+            inpIndex.value = pin.led ? pin.led.index : '';
+            const inpColor = document.createElement('input');
+            inpColor.type = 'color';
+            inpColor.className = 'pin-led-color';
+            inpColor.title = 'LED color';
+            inpColor.value = pin.led ? rgbToHex(pin.led.r, pin.led.g, pin.led.b) : '#ffffff';
+            inpColor.disabled = !pin.led;
+            inpIndex.addEventListener('change', () => {
+                const index = parseInt(inpIndex.value);
+                const valid = Number.isInteger(index) && index >= 0 && index <= 254;
+                onPinLedChange(expIdx, pinIdx, valid ? { index, ...hexToRgb(inpColor.value) } : null);
+            });
+            inpColor.addEventListener('change', () => {
+                if (pin.led) onPinLedChange(expIdx, pinIdx, { ...pin.led, ...hexToRgb(inpColor.value) });
+            });
+            ledControl.append(inpIndex, inpColor);
+        }
+
+        return { selType, selTarget, selCode, codeControl, ledControl };
+    }
+
+    function renderPinMappingTable() {
+        if (!expanderData || !dom.pinMappingBody) return;
+
+        // Flatten all labeled pins from all active expanders into one list
+        const allButtons = getLabeledButtons();
+        dom.pinColLed.style.display = ledMapSupported ? '' : 'none';
+
+        dom.pinMappingBody.innerHTML = '';
+
+        if (allButtons.length === 0) {
+            dom.pinMappingBody.innerHTML = `<tr><td colspan="${ledMapSupported ? 6 : 5}" class="pin-empty">No mapped buttons</td></tr>`;
+            return;
+        }
+
+        // Drop selections for pins that are no longer shown
+        const shown = new Set(allButtons.map(b => `${b.expIdx}:${b.pinIdx}`));
+        selectedPins = new Set([...selectedPins].filter(key => shown.has(key)));
+
+        allButtons.forEach(({ expIdx, pinIdx, pin }, index) => {
+            const row = document.createElement('tr');
+            row.className = 'pin-row';
+            row.dataset.expander = expIdx;
+            row.dataset.pin = pinIdx;
+
+            // Bulk selection checkbox
+            const tdSelect = document.createElement('td');
+            tdSelect.className = 'pin-select-cell';
+            const chk = document.createElement('input');
+            chk.type = 'checkbox';
+            chk.className = 'pin-row-select';
+            chk.title = 'Select for bulk editing (Shift-click selects a range)';
+            chk.addEventListener('click', (e) => selectPinRows(index, chk.checked, e.shiftKey));
+            tdSelect.appendChild(chk);
+            row.appendChild(tdSelect);
+
+            // Button name (label)
+            const tdLabel = document.createElement('td');
+            tdLabel.className = 'pin-label';
+            tdLabel.textContent = pin.label;
+            row.appendChild(tdLabel);
+
+            const { selType, selTarget, codeControl, ledControl } = buildPinEditors(expIdx, pinIdx, pin);
+            for (const sel of [selType, selTarget, codeControl, ledControl].filter(Boolean)) {
+                const td = document.createElement('td');
+                td.appendChild(sel);
+                row.appendChild(td);
+            }
+
+            dom.pinMappingBody.appendChild(row);
+        });
+    }
+
+    // ========================================================================
+    // Bulk Mapping Edits
+    // ========================================================================
+
+    function getSelectedButtons() {
+        return getLabeledButtons().filter(b => selectedPins.has(`${b.expIdx}:${b.pinIdx}`));
+    }
+
+    /** Tick or untick a table row, or the range from the last ticked row when Shift is held */
+    function selectPinRows(index, checked, range) {
+        const buttons = getLabeledButtons();
+        const start = range && lastSelectedIndex !== null ? Math.min(lastSelectedIndex, index) : index;
+        const end = range && lastSelectedIndex !== null ? Math.max(lastSelectedIndex, index) : index;
+        for (let i = start; i <= end && i < buttons.length; i++) {
+            const key = `${buttons[i].expIdx}:${buttons[i].pinIdx}`;
+            if (checked) {
+                selectedPins.add(key);
+            } else {
+                selectedPins.delete(key);
+            }
+        }
+        lastSelectedIndex = index;
+        updateSelectionUI();
+    }
+
+    function selectAllPins(checked) {
+        selectedPins = checked
+            ? new Set(getLabeledButtons().map(b => `${b.expIdx}:${b.pinIdx}`))
+            : new Set();
+        lastSelectedIndex = null;
+        updateSelectionUI();
+    }
+
+    function updateSelectionUI() {
+        const rows = dom.pinMappingBody.querySelectorAll('.pin-row');
+        rows.forEach(row => {
+            const selected = selectedPins.has(`${row.dataset.expander}:${row.dataset.pin}`);
+            row.classList.toggle('pin-selected', selected);
+            row.querySelector('.pin-row-select').checked = selected;
+        });
+
+        const count = selectedPins.size;
+        dom.pinSelectAll.checked = count > 0 && count === rows.length;
+        dom.pinSelectAll.indeterminate = count > 0 && count < rows.length;
+        dom.bulkCount.textContent = `${count} selected`;
+        dom.bulkType.disabled = count === 0;
+        dom.bulkTarget.disabled = count === 0;
+        dom.btnBulkClear.disabled = count === 0;
+        dom.btnBulkLed.disabled = count === 0;
+    }
+
+    /** Refresh the bulk edit options for the connected device */
+    function renderBulkToolbar() {
+        if (!expanderData) return;
+
+        dom.bulkType.length = 1;
+        for (const ot of config.pin_mapping.output_types) {
+            if (ot.value === 3 && !picoctr.hasKeyboardSupport()) continue;
+            if (ot.value === 4 && !picoctr.hasMouseSupport()) continue;
+            dom.bulkType.add(new Option(ot.label, ot.value));
+        }
+
+        const numGamepads = deviceInfo ? deviceInfo.numGamepads : 4;
+        dom.bulkTarget.length = 1;
+        for (let p = 0; p < numGamepads; p++) {
+            dom.bulkTarget.add(new Option(`Player ${p + 1}`, p));
+        }
+
+        // Players found in the labels, keeping the current choice where possible
+        const players = PicoCTRMappingTools.players(getLabeledButtons());
+        for (const [sel, fallback] of [[dom.bulkPlayerFrom, players[0]], [dom.bulkPlayerTo, players[1]]]) {
+            const current = Number(sel.value);
+            sel.length = 0;
+            for (const p of players) sel.add(new Option(`P${p}`, p));
+            sel.value = players.includes(current) ? current : (fallback ?? '');
+        }
+        dom.bulkLedGroup.style.display = ledMapSupported ? '' : 'none';
+
+        const canPair = players.length >= 2;
+        dom.bulkPlayerFrom.disabled = !canPair;
+        dom.bulkPlayerTo.disabled = !canPair;
+        dom.btnBulkCopy.disabled = !canPair;
+        dom.btnBulkSwap.disabled = !canPair;
+
+        updateSelectionUI();
+    }
+
+    function bulkSetType() {
+        const value = dom.bulkType.value;
+        const label = dom.bulkType.selectedOptions[0]?.textContent;
+        dom.bulkType.value = '';
+        if (value === '') return;
+
+        const count = PicoCTRMappingTools.setType(getSelectedButtons(), parseInt(value));
+        renderPinMapping();
+        scheduleHistoryRecord();
+        log(`Set ${count} button(s) to ${label}`, 'info');
+    }
+
+    function bulkSetTarget() {
+        const value = dom.bulkTarget.value;
+        dom.bulkTarget.value = '';
+        if (value === '') return;
+
+        const selected = getSelectedButtons();
+        const count = PicoCTRMappingTools.setTarget(selected, parseInt(value));
+        renderPinMapping();
+        scheduleHistoryRecord();
+        const skipped = selected.length - count;
+        log(`Moved ${count} button(s) to Player ${parseInt(value) + 1}` +
+            (skipped ? ` (${skipped} without a gamepad output left as is)` : ''), 'info');
+    }
+
+    function bulkSetLedColor() {
+        const selected = getSelectedButtons();
+        const count = PicoCTRMappingTools.setLedColor(selected, hexToRgb(dom.bulkLedColor.value));
+        renderPinMapping();
+        scheduleHistoryRecord();
+        const skipped = selected.length - count;
+        log(`Colored ${count} button LED(s) ${dom.bulkLedColor.value}` +
+            (skipped ? ` (${skipped} without an LED left as is)` : ''), 'info');
+    }
+
+    function getBulkPlayers() {
+        const from = parseInt(dom.bulkPlayerFrom.value);
+        const to = parseInt(dom.bulkPlayerTo.value);
+        if (from === to) {
+            log('Choose two different players', 'warning');
+            return null;
+        }
+        return { from, to };
+    }
+
+    function bulkCopyPlayer() {
+        const players = getBulkPlayers();
+        if (!players) return;
+
+        const { copied, unmatched } = PicoCTRMappingTools.copyPlayer(getLabeledButtons(), players.from, players.to);
+        renderPinMapping();
+        scheduleHistoryRecord();
+        log(`Copied P${players.from} layout to ${copied} P${players.to} button(s). Click Apply to send to device.`, 'success');
+        if (unmatched.length) log(`No P${players.from} counterpart for: ${unmatched.join(', ')}`, 'warning');
+    }
+
+    function bulkSwapPlayers() {
+        const players = getBulkPlayers();
+        if (!players) return;
+
+        const { swapped, unmatched } = PicoCTRMappingTools.swapPlayers(getLabeledButtons(), players.from, players.to);
+        renderPinMapping();
+        scheduleHistoryRecord();
+        log(`Swapped ${swapped} P${players.from}/P${players.to} button pair(s). Click Apply to send to device.`, 'success');
+        if (unmatched.length) log(`Left unpaired: ${unmatched.join(', ')}`, 'warning');
+    }
+
+    function bulkShiftTargets() {
+        const offset = parseInt(dom.bulkShift.value);
+        if (!offset) return;
+
+        const buttons = selectedPins.size > 0 ? getSelectedButtons() : getLabeledButtons();
+        const numGamepads = deviceInfo ? deviceInfo.numGamepads : 4;
+        const { shifted, skipped } = PicoCTRMappingTools.shiftTargets(buttons, offset, numGamepads);
+        renderPinMapping();
+        scheduleHistoryRecord();
+        log(`Shifted ${shifted} gamepad output(s) by ${offset > 0 ? '+' : ''}${offset}. Click Apply to send to device.`, 'success');
+        if (skipped.length) log(`Out of range for ${numGamepads} gamepad(s), left as is: ${skipped.join(', ')}`, 'warning');
+    }
+
+    // ========================================================================
+    // Keyboard Key Picker
+    // ========================================================================
+
+    function openKeyPicker(expIdx, pinIdx, pin) {
+        keyPickerTarget = { expIdx, pinIdx, label: pin.label, current: pin.output_code };
+        dom.keyPickerTarget.textContent = pin.label;
+        dom.keyPickerSearch.value = '';
+        setKeyCapture(false);
+        renderKeyPickerList();
+        dom.keyPickerDialog.showModal();
+        dom.keyPickerSearch.focus();
+    }
+
+    function renderKeyPickerList() {
+        const query = dom.keyPickerSearch.value.trim().toLowerCase();
+        const keys = PicoCTRKeyboardKeys.keys(config).filter(key => {
+            if (!query) return true;
+            const hex = `0x${key.code.toString(16).padStart(2, '0')}`;
+            return key.label.toLowerCase().includes(query) ||
+                key.name.toLowerCase().includes(query) ||
+                key.group.toLowerCase().includes(query) ||
+                hex === query;
+        });
+
+        dom.keyPickerList.innerHTML = '';
+        if (keys.length === 0) {
+            dom.keyPickerList.innerHTML = '<p class="pin-empty">No matching keys</p>';
+            return;
+        }
+        for (const key of keys) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'key-picker-item' + (key.code === keyPickerTarget?.current ? ' selected' : '');
+            item.innerHTML = `<span></span><span class="key-picker-code">0x${key.code.toString(16).toUpperCase().padStart(2, '0')}</span>`;
+            item.firstChild.textContent = key.label;
+            item.title = key.group;
+            item.addEventListener('click', () => selectPickedKey(key.code));
+            dom.keyPickerList.appendChild(item);
+        }
+    }
+
+    function selectPickedKey(code) {
+        const target = keyPickerTarget;
+        dom.keyPickerDialog.close();
+        if (!target) return;
+
+        onPinFieldChange(target.expIdx, target.pinIdx, 'output_code', code);
+        renderPinMapping();
+        const key = PicoCTRKeyboardKeys.keys(config).find(k => k.code === code);
+        log(`${target.label} → ${key ? key.label : code}`, 'info');
+    }
+
+    function setKeyCapture(active) {
+        keyCaptureActive = active;
+        dom.btnKeyCapture.classList.toggle('active', active);
+        dom.btnKeyCapture.innerHTML = active
+            ? '<span class="btn-icon">⌨️</span> Press a key…'
+            : '<span class="btn-icon">⌨️</span> Press to Select';
+        dom.keyPickerHint.textContent = active
+            ? 'Waiting for a key press (Escape included). Click again to cancel.'
+            : '';
+    }
+
+    function handleKeyPickerKeydown(e) {
+        if (!keyCaptureActive) {
+            if (e.key === 'Enter' && e.target === dom.keyPickerSearch) {
+                e.preventDefault();
+                dom.keyPickerList.querySelector('.key-picker-item')?.click();
+            }
+            return;
+        }
+        // Capture every key, including Escape which would otherwise close the dialog
+        e.preventDefault();
+        e.stopPropagation();
+        const usage = hidUsageFromKeyEvent(e);
+        if (usage) {
+            selectPickedKey(usage);
+        } else {
+            dom.keyPickerHint.textContent = `"${e.code || e.key}" has no HID keyboard usage. Try another key or search.`;
+        }
+    }
+
+    // ========================================================================
+    // Control Panel View
+    // ========================================================================
+
+    /** Hand-written panel layout for the connected device, if any */
+    function getPanelLayoutDef() {
+        const device = config.devices.find(d => d.target === deviceInfo?.variant) ||
+            picoctr.findDeviceConfig(deviceInfo?.board);
+        if (!device) return null;
+        return panelLayouts[device.target] || panelLayouts[device.board] || null;
+    }
+
+    function renderPanelView() {
+        if (!panelView || !expanderData) return;
+
+        const buttons = getLabeledButtons();
+        if (buttons.length === 0) {
+            dom.pinPanelView.innerHTML = '<p class="pin-empty">No mapped buttons</p>';
+            closePanelEditor();
+            return;
+        }
+        panelView.render(buttons, getPanelLayoutDef());
+
+        // Keep the editor open on the same pin across re-renders
+        if (panelEditorPin) {
+            const { expIdx, pinIdx } = panelEditorPin;
+            const button = buttons.find(b => b.expIdx === expIdx && b.pinIdx === pinIdx);
+            const anchor = dom.pinPanelView.querySelector(`.panel-control[data-expander="${expIdx}"][data-pin="${pinIdx}"]`);
+            if (button && anchor) {
+                const field = document.activeElement?.dataset?.field;
+                openPanelEditor(button, anchor);
+                if (field) dom.panelEditor.querySelector(`[data-field="${field}"]`)?.focus();
+            } else {
+                closePanelEditor();
+            }
+        }
+    }
+
+    function setMappingView(view) {
+        mappingView = view;
+        localStorage.setItem(MAPPING_VIEW_STORAGE_KEY, view);
+        const isPanel = view === 'panel';
+        dom.pinMappingTableWrapper.style.display = isPanel ? 'none' : '';
+        dom.pinPanelWrapper.style.display = isPanel ? '' : 'none';
+        dom.btnViewTable.classList.toggle('active', !isPanel);
+        dom.btnViewPanel.classList.toggle('active', isPanel);
+        if (!isPanel) closePanelEditor();
+    }
+
+    /** Show the type/target/code editor for one pin next to its panel control */
+    function openPanelEditor(button, anchor) {
+        const { expIdx, pinIdx, pin } = button;
+        panelEditorPin = { expIdx, pinIdx };
+
+        dom.panelEditor.innerHTML = `
+            <div class="panel-editor-header">
+                <span class="panel-editor-title"></span>
+                <button class="btn btn-ghost btn-small panel-editor-close" title="Close">✕</button>
+            </div>
+        `;
+        dom.panelEditor.querySelector('.panel-editor-title').textContent = pin.label;
+        dom.panelEditor.querySelector('.panel-editor-close').addEventListener('click', closePanelEditor);
+
+        const { selType, selTarget, codeControl, ledControl } = buildPinEditors(expIdx, pinIdx, pin);
+        const fields = [['Output Type', selType], ['Target', selTarget], ['Code', codeControl]];
+        if (ledControl) fields.push(['LED', ledControl]);
+        for (const [label, sel] of fields) {
+            const field = document.createElement('label');
+            field.className = 'panel-editor-field';
+            field.textContent = label;
+            field.appendChild(sel);
+            dom.panelEditor.appendChild(field);
+        }
+
+        dom.pinPanelView.querySelectorAll('.panel-control.selected').forEach(el => el.classList.remove('selected'));
+        anchor.classList.add('selected');
+
+        // Position below the control, kept inside the wrapper
+        dom.panelEditor.style.display = '';
+        const wrap = dom.pinPanelWrapper.getBoundingClientRect();
+        const rect = anchor.getBoundingClientRect();
+        const width = dom.panelEditor.offsetWidth;
+        const left = Math.min(Math.max(0, rect.left - wrap.left + rect.width / 2 - width / 2), wrap.width - width);
+        dom.panelEditor.style.left = `${left}px`;
+        dom.panelEditor.style.top = `${rect.bottom - wrap.top + 8}px`;
+    }
+
+    function closePanelEditor() {
+        panelEditorPin = null;
+        dom.panelEditor.style.display = 'none';
+        dom.pinPanelView.querySelectorAll('.panel-control.selected').forEach(el => el.classList.remove('selected'));
+    }
+
+    /** Code choices for an output type as [{ value, label }] */
+    function getCodeOptions(outputType) {
+        const pmConfig = config.pin_mapping;
+
+        switch (outputType) {
+            case 1: // Gamepad button
+                return pmConfig.gamepad_buttons.map(btn => ({ value: btn.idx, label: btn.label }));
+            case 2: // D-pad
+                return pmConfig.dpad_directions.map(dir => ({ value: dir.idx, label: dir.label }));
+            case 3: // Keyboard (HID usage page 0x07)
+                return PicoCTRKeyboardKeys.keys(config).map(key => ({
+                    value: key.code,
+                    label: `${key.label} (0x${key.code.toString(16).toUpperCase().padStart(2, '0')})`,
+                    group: key.group,
+                }));
+            case 4: // Mouse button
+                return pmConfig.mouse_buttons.map(btn => ({ value: btn.idx, label: btn.label }));
+            default: // Disabled
+                return [{ value: 0, label: '—' }];
+        }
+    }
+
+    function populateCodeOptions(select, outputType) {
+        select.innerHTML = '';
+        const groups = new Map();
+        for (const { value, label, group } of getCodeOptions(outputType)) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            if (!group) {
+                select.appendChild(opt);
+                continue;
+            }
+            if (!groups.has(group)) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group;
+                groups.set(group, optgroup);
+                select.appendChild(optgroup);
+            }
+            groups.get(group).appendChild(opt);
+        }
+    }
+
+    /** HID keyboard usage for a browser KeyboardEvent (0 if not mappable) */
+    function hidUsageFromKeyEvent(e) {
+        const key = PicoCTRKeyboardKeys.keys(config).find(k => k.web_code && k.web_code === e.code);
+        return key ? key.code : 0;
+    }
+
+    /** Human-readable summary of a pin's output, e.g. "P1 · South (A/Cross)" */
+    function describePinOutput(pin) {
+        if (!pin) return '—';
+        const type = pin.output_type ?? 0;
+        if (type === 0) return 'Disabled';
+
+        const typeCfg = config.pin_mapping.output_types.find(t => t.value === type);
+        const code = getCodeOptions(type).find(o => o.value === pin.output_code);
+        const codeLabel = code ? code.label : `0x${(pin.output_code ?? 0).toString(16).toUpperCase()}`;
+        if (type === 1) return `P${(pin.output_target ?? 0) + 1} · ${codeLabel}`;
+        if (type === 2) return `P${(pin.output_target ?? 0) + 1} · D-Pad ${codeLabel}`;
+        return `${typeCfg ? typeCfg.label : `Type ${type}`} · ${codeLabel}`;
+    }
+
+    function onPinFieldChange(expIdx, pinIdx, field, value) {
+        if (!expanderData) return;
+        const exp = expanderData.find(e => e.index === expIdx);
+        if (!exp) return;
+
+        const pin = exp.pins[pinIdx];
+        if (field === 'output_type') {
+            pin.output_type = value;
+            // Reset target and code when type changes
+            pin.output_target = 0;
+            pin.output_code = 0;
+            // Re-render the views to update dependent selects
+            renderPinMapping();
+        } else if (field === 'output_target') {
+            pin.output_target = value;
+        } else if (field === 'output_code') {
+            pin.output_code = value;
+        }
+        checkUnsavedChanges();
+        scheduleHistoryRecord();
+        updateMappingIssues();
+    }
+
+    /** Set or clear (null) a pin's LED */
+    function onPinLedChange(expIdx, pinIdx, led) {
+        const exp = expanderData?.find(e => e.index === expIdx);
+        if (!exp) return;
+        exp.pins[pinIdx].led = led;
+        renderPinMapping();
+        scheduleHistoryRecord();
+    }
+
+    /** Firmware form of a pin's LED for set_led_map */
+    function ledToFirmware(led) {
+        return led
+            ? { i: led.index, r: led.r, g: led.g, b: led.b }
+            : { i: PicoCTRDevice.LED_NONE, r: 0, g: 0, b: 0 };
+    }
+
+    // ========================================================================
+    // Mapping Checks
+    // ========================================================================
+
+    /** Re-run the validator and mark affected rows and panel controls */
+    function updateMappingIssues() {
+        mappingIssues = expanderData
+            ? PicoCTRMappingValidator.validate(getLabeledButtons(), {
+                config,
+                numGamepads: deviceInfo ? deviceInfo.numGamepads : 4,
+                describe: describePinOutput,
+                ledCount: ledMapSupported ? getSettingsFromUI().led_count : undefined,
+            })
+            : [];
+
+        const byPin = new Map();
+        for (const issue of mappingIssues) {
+            for (const key of issue.pins) {
+                if (!byPin.has(key)) byPin.set(key, []);
+                byPin.get(key).push(issue);
+            }
+        }
+        dom.pinMappingSection.querySelectorAll('.pin-row[data-pin], .panel-control[data-pin]').forEach(el => {
+            const issues = byPin.get(`${el.dataset.expander}:${el.dataset.pin}`) || [];
+            const hasError = issues.some(i => i.level === 'error');
+            el.classList.toggle('pin-issue-error', hasError);
+            el.classList.toggle('pin-issue-warning', issues.length > 0 && !hasError);
+            const label = el.querySelector('.pin-label');
+            if (label) label.title = issues.map(i => i.message).join('\n');
+        });
+
+        renderMappingIssueList(dom.mappingIssues, true);
+    }
+
+    /** List the current issues in a container; hidden when there are none */
+    function renderMappingIssueList(container, linkPins) {
+        container.innerHTML = '';
+        container.style.display = mappingIssues.length ? '' : 'none';
+        if (!mappingIssues.length) return;
+
+        const errors = mappingIssues.filter(i => i.level === 'error').length;
+        const heading = document.createElement('p');
+        heading.className = 'mapping-issues-heading';
+        heading.textContent = errors
+            ? `⛔ ${mappingIssues.length} mapping problem(s), ${errors} error(s)`
+            : `⚠️ ${mappingIssues.length} mapping warning(s)`;
+        container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        for (const issue of mappingIssues) {
+            const item = document.createElement('li');
+            item.className = `mapping-issue mapping-issue-${issue.level}`;
+            item.textContent = issue.message;
+            if (linkPins && issue.pins.length) {
+                const [expIdx, pinIdx] = issue.pins[0].split(':');
+                item.classList.add('mapping-issue-link');
+                item.title = 'Show this button';
+                item.addEventListener('click', () => {
+                    const el = [...pinElements(expIdx, pinIdx)].find(e => e.getClientRects().length > 0);
+                    el?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                });
+            }
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    }
+
+    /** Send the pin and LED maps to the device (RAM only); throws if any command fails */
+    async function applyPinMapping() {
+        if (!expanderData || !picoctr || !picoctr.connected) return;
+
+        log('Applying pin mappings to device...');
+        for (const exp of expanderData) {
+            if (!exp.active) continue;
+            const fwPins = exp.pins.map(p => ({
+                t: p.output_type,
+                tg: p.output_target,
+                c: p.output_code,
+            }));
+            await picoctr.setPinMap(exp.index, fwPins);
+            if (ledMapSupported) {
+                await picoctr.setLedMap(exp.index, exp.pins.map(p => ledToFirmware(p.led)));
+            }
+        }
+        log('Pin mappings applied (not saved to flash)', 'success');
+    }
+
+    // ========================================================================
+    // Live Input Test
+    // ========================================================================
+
+    function highlightPressedPins(pressed) {
+        dom.pinMappingSection.querySelectorAll('.pin-row[data-pin], .panel-control[data-pin]').forEach(el => {
+            el.classList.toggle('pin-pressed', pressed.has(`${el.dataset.expander}:${el.dataset.pin}`));
+        });
+    }
+
+    /** Start the shared pin-state reader if needed; returns its source mode */
+    async function acquirePinTester() {
+        if (!pinTester) {
+            pinTester = new PicoCTRInputTester(picoctr, {
+                onChange: onPinStatesChange,
+                getExpanders: () => expanderData,
+                keyUsage: hidUsageFromKeyEvent,
+            });
+        }
+        return pinTester.start();
+    }
+
+    /** Stop the shared pin-state reader once neither test nor identify uses it */
+    function releasePinTester() {
+        if (pinTester && !inputTestActive && !identifyActive) {
+            const tester = pinTester;
+            pinTester = null;
+            tester.stop();
+            lastPressedPins = new Set();
+        }
+    }
+
+    function onPinStatesChange(pressed) {
+        if (inputTestActive) highlightPressedPins(pressed);
+        if (identifyActive) {
+            const newlyPressed = [...pressed].find(key => !lastPressedPins.has(key));
+            if (newlyPressed) identifyPin(newlyPressed);
+        }
+        lastPressedPins = pressed;
+    }
+
+    function updateInputTestStatus(mode) {
+        const source = mode === 'device'
+            ? 'reading pin states from the device'
+            : 'only mapped buttons, as seen by this computer (applied mapping)';
+        let text = '';
+        if (identifyActive) {
+            text = `Press the button to find — ${source}`;
+        } else if (inputTestActive) {
+            text = `Press buttons on the cabinet — ${source}`;
+        }
+        dom.inputTestStatus.textContent = text;
+        dom.inputTestStatus.style.display = text ? '' : 'none';
+    }
+
+    async function toggleInputTest() {
+        if (inputTestActive) {
+            stopInputTest();
+            return;
+        }
+        if (!picoctr || !picoctr.connected || !expanderData) return;
+
+        inputTestActive = true;
+        const mode = await acquirePinTester();
+        highlightPressedPins(pinTester.pressed);
+
+        dom.mappingAccordion.open = true;
+        dom.btnInputTest.classList.add('active');
+        dom.btnInputTest.innerHTML = '<span class="btn-icon">⏹</span> Stop Test';
+        updateInputTestStatus(mode);
+        if (mode === 'device') {
+            log('Input test started (device pin states)', 'info');
+        } else {
+            log('Input test started. Firmware has no get_pin_states; using gamepad, keyboard and mouse events.', 'info');
+        }
+    }
+
+    function stopInputTest() {
+        if (!inputTestActive) return;
+        inputTestActive = false;
+        highlightPressedPins(new Set());
+        dom.btnInputTest.classList.remove('active');
+        dom.btnInputTest.innerHTML = '<span class="btn-icon">🧪</span> Test Inputs';
+        updateInputTestStatus(pinTester?.mode);
+        releasePinTester();
+        log('Input test stopped', 'info');
+    }
+
+    // ========================================================================
+    // Identify (press a button to select its row)
+    // ========================================================================
+
+    async function toggleIdentify() {
+        if (identifyActive) {
+            stopIdentify();
+            log('Identify cancelled', 'info');
+            return;
+        }
+        if (!picoctr || !picoctr.connected || !expanderData) return;
+
+        identifyActive = true;
+        const mode = await acquirePinTester();
+        // Buttons already held when identify starts should not count
+        lastPressedPins = new Set(pinTester.pressed);
+
+        dom.mappingAccordion.open = true;
+        dom.btnIdentify.classList.add('active');
+        dom.btnIdentify.innerHTML = '<span class="btn-icon">✖</span> Cancel';
+        updateInputTestStatus(mode);
+        log('Identify: press a button on the cabinet...', 'info');
+    }
+
+    function stopIdentify() {
+        if (!identifyActive) return;
+        identifyActive = false;
+        dom.btnIdentify.classList.remove('active');
+        dom.btnIdentify.innerHTML = '<span class="btn-icon">🎯</span> Identify';
+        updateInputTestStatus(pinTester?.mode);
+        releasePinTester();
+    }
+
+    /** Scroll to, focus and highlight the mapping row for an "expander:pin" key */
+    function identifyPin(key) {
+        const [expIdx, pinIdx] = key.split(':');
+        stopIdentify();
+
+        dom.pinMappingSection.querySelectorAll('.pin-identified').forEach(el => el.classList.remove('pin-identified'));
+        const button = getLabeledButtons().find(b => b.expIdx === Number(expIdx) && b.pinIdx === Number(pinIdx));
+        if (!button) {
+            log(`Expander ${expIdx} pin ${pinIdx} was pressed but has no labeled row in the mapping table`, 'warning');
+            return;
+        }
+
+        pinElements(expIdx, pinIdx).forEach(el => el.classList.add('pin-identified'));
+        if (mappingView === 'panel') {
+            const control = dom.pinPanelView.querySelector(`.panel-control[data-expander="${expIdx}"][data-pin="${pinIdx}"]`);
+            control.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            openPanelEditor(button, control);
+            dom.panelEditor.querySelector('select')?.focus({ preventScroll: true });
+        } else {
+            const row = dom.pinMappingBody.querySelector(`.pin-row[data-expander="${expIdx}"][data-pin="${pinIdx}"]`);
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            row.querySelector('select')?.focus({ preventScroll: true });
+        }
+        log(`Identified ${button.pin.label} (expander ${expIdx}, pin ${pinIdx})`, 'success');
+    }
+
+    // ========================================================================
+    // Mapping Import / Export
+    // ========================================================================
+
+    function exportMapping() {
+        if (!expanderData) {
+            log('No mapping data to export', 'error');
+            return;
+        }
+
+        const profile = PicoCTRProfile.create({
+            config,
+            settings: getSettingsFromUI(),
+            expanders: expanderData,
+            deviceInfo,
+        });
+
+        const json = JSON.stringify(profile, null, 2);
+        try {
+            // Never write a file that import would reject
+            PicoCTRProfile.parse(json, profileConfig());
+        } catch (err) {
+            log(`Failed to export profile: ${err.message}`, 'error');
+            return;
+        }
+        const board = (deviceInfo?.board || 'picoctr').replace(/\s+/g, '-').toLowerCase();
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${board}-profile.json`);
+
+        log('Profile exported (settings + button mapping)', 'success');
+    }
+
+    function handleMappingImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                if (!expanderData) {
+                    throw new Error('Connect to a device and load mappings first');
+                }
+
+                const { profile, warnings, migratedFrom } = PicoCTRProfile.parse(e.target.result, profileConfig());
+                if (migratedFrom !== null) {
+                    log(`Upgraded v${migratedFrom} mapping file to profile v${profile.version} (no settings included)`, 'info');
+                }
+                for (const w of warnings) log(w, 'warning');
+
+                // Warn if profile was exported from a different board type
+                if (profile.board && profile.board !== 'unknown' && deviceInfo && deviceInfo.board &&
+                    profile.board !== deviceInfo.board) {
+                    const proceed = confirm(
+                        `This profile was exported from a different board type:\n\n` +
+                        `  Profile: ${profile.board}\n` +
+                        `  Device:  ${deviceInfo.board}\n\n` +
+                        `Button positions may not match. Import anyway?`
+                    );
+                    if (!proceed) {
+                        log('Import cancelled (board mismatch)', 'warning');
+                        return;
+                    }
+                }
+
+                let applied = 0;
+                for (const impExp of profile.expanders) {
+                    const localExp = expanderData.find(ex => ex.index === impExp.index);
+                    if (!localExp || !localExp.active) continue;
+
+                    for (let i = 0; i < impExp.pins.length && i < localExp.pins.length; i++) {
+                        const src = impExp.pins[i];
+                        const dst = localExp.pins[i];
+                        // Only overwrite functional fields, preserve label from device
+                        dst.output_type = src.output_type ?? 0;
+                        dst.output_target = src.output_target ?? 0;
+                        dst.output_code = src.output_code ?? 0;
+                        if (ledMapSupported && src.led !== undefined) {
+                            dst.led = src.led ? { ...src.led } : null;
+                        }
+                        applied++;
+                    }
+                }
+
+                let settingsCount = 0;
+                if (profile.settings) {
+                    settingsCount = Object.keys(profile.settings).length;
+                    const live = currentSettings;
+                    updateUIFromSettings({ ...getSettingsFromUI(), ...profile.settings });
+                    currentSettings = live;
+                    updateAnimationGroups();
+                    checkUnsavedChanges();
+                }
+
+                renderPinMapping();
+                scheduleHistoryRecord();
+                log(`Imported profile (${settingsCount} settings, ${applied} pins). Click Apply to send to device.`, 'success');
+            } catch (err) {
+                log(`Import failed: ${err.message}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset input so the same file can be re-imported
+        event.target.value = '';
+    }
+
+    // ========================================================================
+    // Share Links
+    // ========================================================================
+
+    async function copyShareLink() {
+        if (!expanderData) {
+            log('No mapping data to share', 'error');
+            return;
+        }
+        if (!PicoCTRProfile.canShareLinks()) {
+            log('This browser cannot create share links', 'error');
+            return;
+        }
+
+        const profile = PicoCTRProfile.create({
+            config,
+            settings: getSettingsFromUI(),
+            expanders: expanderData,
+            deviceInfo,
+        });
+        let data;
+        try {
+            data = await encodeShareLink(profile);
+        } catch (err) {
+            log(`Failed to create share link: ${err.message}`, 'error');
+            return;
+        }
+        const url = `${location.origin}${location.pathname}#${PicoCTRProfile.LINK_PARAM}=${data}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            log(`Share link copied to clipboard (${url.length} characters)`, 'success');
+        } catch {
+            prompt('Copy this link:', url);
+        }
+    }
+
+    /**
+     * Encode a profile for a share link and decode it again, so no link is
+     * handed out that loadSharedProfileFromUrl() would reject.
+     */
+    async function encodeShareLink(profile) {
+        const data = await PicoCTRProfile.encodeLink(profile);
+        await PicoCTRProfile.decodeLink(data, profileConfig());
+        return data;
+    }
+
+    /** Pick up a profile from a #profile= link in the page URL */
+    async function loadSharedProfileFromUrl() {
+        const data = new URLSearchParams(location.hash.slice(1)).get(PicoCTRProfile.LINK_PARAM);
+        if (!data) return;
+        if (!PicoCTRProfile.canShareLinks()) {
+            log('This browser cannot open profile links. Try a current version of Chrome or Edge.', 'error');
+            return;
+        }
+
+        try {
+            const { profile, warnings } = await PicoCTRProfile.decodeLink(data, profileConfig());
+            for (const w of warnings) log(w, 'warning');
+            sharedProfile = profile;
+            log(`Opened shared profile${profile.name ? ` "${profile.name}"` : ''} for ${profile.board}`, 'info');
+        } catch (err) {
+            log(err.message, 'error');
+            clearSharedProfile();
+            return;
+        }
+
+        if (picoctr.connected && expanderData) {
+            await offerSharedProfile();
+        } else {
+            log('Connect the device to apply the shared profile', 'info');
+        }
+    }
+
+    function clearSharedProfile() {
+        sharedProfile = null;
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+
+    /** Offer the pending shared profile to a connected device of the same board */
+    async function offerSharedProfile() {
+        if (!sharedProfile || !deviceInfo) return;
+        // Opened before a device was connected, the animation could not be checked yet
+        let profile;
+        try {
+            ({ profile } = PicoCTRProfile.parse(sharedProfile, profileConfig()));
+        } catch (err) {
+            log(`Shared profile does not fit this device: ${err.message}`, 'error');
+            clearSharedProfile();
+            return;
+        }
+        if (profile.board !== 'unknown' && deviceInfo.board && profile.board !== deviceInfo.board) {
+            log(`Shared profile is for ${profile.board}, but this device is ${deviceInfo.board}. Connect a ${profile.board} to apply it.`, 'warning');
+            return;
+        }
+
+        const mapped = profile.expanders.reduce((n, exp) => n + exp.pins.filter(p => p.output_type).length, 0);
+        const apply = confirm(
+            `Apply the shared configuration${profile.name ? ` "${profile.name}"` : ''} to this device?\n\n` +
+            `  Board:    ${profile.board}\n` +
+            `  Settings: ${profile.settings ? 'included' : 'not included'}\n` +
+            `  Buttons:  ${mapped} mapped\n\n` +
+            `Changes are applied but not saved to flash.`
+        );
+        clearSharedProfile();
+        if (!apply) {
+            log('Shared profile not applied', 'info');
+            return;
+        }
+
+        try {
+            await applyProfileToDevice(profile);
+            log('Shared profile applied. Use Save to Flash to persist it.', 'success');
+        } catch (err) {
+            log(`Failed to apply shared profile: ${err.message}`, 'error');
+        }
+    }
+
+    // ========================================================================
+    // Reference Card
+    // ========================================================================
+
+    // Order of controls within a player on the card
+    const CARD_KIND_ORDER = ['direction', 'button', 'start', 'coin', 'other'];
+
+    // QR code generator for the card (qrcode-generator 1.4.4, vendored),
+    // loaded the first time a card is printed
+    const QR_LIBRARY_URL = 'js/vendor/qrcode.js';
+    let qrLibraryLoading = null;
+
+    function loadQrLibrary() {
+        if (typeof qrcode !== 'undefined') return Promise.resolve();
+        if (!qrLibraryLoading) {
+            qrLibraryLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = QR_LIBRARY_URL;
+                script.onload = resolve;
+                script.onerror = () => {
+                    // Forget the attempt so the next print tries again
+                    qrLibraryLoading = null;
+                    script.remove();
+                    reject(new Error('QR code library could not be loaded'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return qrLibraryLoading;
+    }
+
+    /** Code name for a pin's output, e.g. "South (A/Cross)", "Left Ctrl" */
+    function pinCodeName(pin) {
+        if (pin.output_type === 0) return '—';
+        if (pin.output_type === 3) {
+            const key = PicoCTRKeyboardKeys.keys(config).find(k => k.code === pin.output_code);
+            if (key) return key.label;
+        }
+        const code = getCodeOptions(pin.output_type).find(o => o.value === pin.output_code);
+        return code ? code.label : `0x${pin.output_code.toString(16).toUpperCase()}`;
+    }
+
+    /** Profile share link for the card's QR code (null if it cannot be made) */
+    async function referenceCardLink() {
+        if (!PicoCTRProfile.canShareLinks()) return null;
+        await loadQrLibrary();
+        const profile = PicoCTRProfile.create({
+            config,
+            settings: getSettingsFromUI(),
+            expanders: expanderData,
+            deviceInfo,
+        });
+        const data = await encodeShareLink(profile);
+        return `${location.origin}${location.pathname}#${PicoCTRProfile.LINK_PARAM}=${data}`;
+    }
+
+    function renderReferenceCard(link) {
+        const card = dom.referenceCard;
+        card.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'card-header';
+        const title = document.createElement('h1');
+        title.textContent = `${deviceInfo?.board || 'PicoCTR'} Button Mapping`;
+        const meta = document.createElement('p');
+        meta.textContent = [
+            deviceInfo?.variant && `Variant ${deviceInfo.variant}`,
+            deviceInfo?.version && `Firmware ${deviceInfo.version}`,
+            `Printed ${new Date().toLocaleDateString()}`,
+        ].filter(Boolean).join(' · ');
+        header.append(title, meta);
+        card.appendChild(header);
+
+        // Group by player, cabinet-wide buttons last
+        const groups = new Map();
+        for (const button of getLabeledButtons()) {
+            const info = PicoCTRButtonLabels.parse(button.pin.label);
+            const player = info.player ?? 0;
+            if (!groups.has(player)) groups.set(player, []);
+            groups.get(player).push({ button, info });
+        }
+        const players = [...groups.keys()].sort((a, b) => (a || Infinity) - (b || Infinity));
+
+        const grid = document.createElement('div');
+        grid.className = 'card-players';
+        for (const player of players) {
+            const entries = groups.get(player).sort((a, b) =>
+                CARD_KIND_ORDER.indexOf(a.info.kind) - CARD_KIND_ORDER.indexOf(b.info.kind) ||
+                PicoCTRButtonLabels.DIRECTIONS.indexOf(a.info.direction) - PicoCTRButtonLabels.DIRECTIONS.indexOf(b.info.direction) ||
+                (a.info.number ?? 0) - (b.info.number ?? 0) ||
+                a.button.pin.label.localeCompare(b.button.pin.label)
+            );
+
+            const section = document.createElement('section');
+            const heading = document.createElement('h2');
+            heading.textContent = player ? `Player ${player}` : 'Cabinet';
+            const table = document.createElement('table');
+            table.innerHTML = '<thead><tr><th>Button</th><th>Output</th><th>Target</th><th>Code</th></tr></thead>';
+            const body = document.createElement('tbody');
+            for (const { button: { pin } } of entries) {
+                const type = config.pin_mapping.output_types.find(t => t.value === pin.output_type);
+                const row = document.createElement('tr');
+                const cells = [
+                    pin.label,
+                    type ? type.label : `Type ${pin.output_type}`,
+                    pin.output_type === 1 || pin.output_type === 2 ? `Player ${pin.output_target + 1}` : '—',
+                    pinCodeName(pin),
+                ];
+                for (const text of cells) {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    row.appendChild(td);
+                }
+                body.appendChild(row);
+            }
+            table.appendChild(body);
+            section.append(heading, table);
+            grid.appendChild(section);
+        }
+        card.appendChild(grid);
+
+        const footer = document.createElement('div');
+        footer.className = 'card-footer';
+        if (link) {
+            try {
+                const qr = qrcode(0, 'L');
+                qr.addData(link);
+                qr.make();
+                const code = document.createElement('div');
+                code.className = 'card-qr';
+                code.innerHTML = qr.createSvgTag({ cellSize: 2, margin: 2, scalable: true });
+                footer.appendChild(code);
+            } catch {
+                // Too much data for a QR code; the card is still useful without it
+                link = null;
+            }
+        }
+        const note = document.createElement('p');
+        note.textContent = link
+            ? 'Scan to open this configuration in the PicoCTR Web Configurator.'
+            : 'Configure at the PicoCTR Web Configurator.';
+        footer.appendChild(note);
+        card.appendChild(footer);
+    }
+
+    async function printReferenceCard() {
+        if (!expanderData) {
+            log('No mapping data to print', 'error');
+            return;
+        }
+
+        let link = null;
+        try {
+            link = await referenceCardLink();
+        } catch (err) {
+            log(`Reference card printed without QR code: ${err.message}`, 'warning');
+        }
+        renderReferenceCard(link);
+        document.body.classList.add('printing-card');
+        window.print();
+    }
+
+    // ========================================================================
+    // Mapping Presets
+    // ========================================================================
 
-        if (!flashSettings) {
-            dom.unsavedBanner.style.display = 'none';
+    async function openPresetDialog() {
+        if (!expanderData) {
+            log('Connect to a device and load mappings first', 'error');
             return;
         }
-
-        const uiSettings = getSettingsFromUI();
-        const settingsKeys = ['enable_rgb', 'rgb_animation', 'rgb_r', 'rgb_g', 'rgb_b', 'led_count', 'led_brightness'];
-        const changedFields = [];
-
-        for (const key of settingsKeys) {
-            if (uiSettings[key] !== flashSettings[key]) {
-                changedFields.push(key);
-                const elements = fieldDomMap[key]?.() || [];
-                const groups = new Set();
-                for (const el of elements) {
-                    const group = el?.closest('.form-group');
-                    if (group) groups.add(group);
-                }
-                groups.forEach(g => g.classList.add('field-modified'));
+        if (!presets) {
+            try {
+                presets = await PicoCTRPresets.load();
+            } catch (err) {
+                log(`Failed to load presets: ${err.message}`, 'error');
+                return;
             }
         }
 
-        if (changedFields.length > 0) {
-            dom.unsavedBanner.style.display = '';
-            dom.unsavedBanner.innerHTML =
-                '<span>⚡ Device has unsaved changes &mdash; use <strong>Save to Flash</strong> to persist them</span>';
-        } else {
-            dom.unsavedBanner.style.display = 'none';
+        const keyboard = picoctr.hasKeyboardSupport();
+        dom.presetSelect.innerHTML = '';
+        for (const preset of presets) {
+            const opt = document.createElement('option');
+            opt.value = preset.id;
+            opt.textContent = preset.name;
+            if (preset.output === 'keyboard' && !keyboard) {
+                opt.disabled = true;
+                opt.textContent += ' (needs keyboard firmware)';
+            }
+            dom.presetSelect.appendChild(opt);
         }
+        const first = dom.presetSelect.querySelector('option:not([disabled])');
+        if (first) dom.presetSelect.value = first.value;
+
+        renderPresetPreview();
+        dom.presetDialog.showModal();
     }
 
-    function rgbToHex(r, g, b) {
-        return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+    function renderPresetPreview() {
+        const preset = presets.find(p => p.id === dom.presetSelect.value);
+        presetPlan = preset ? PicoCTRPresets.plan(preset, getLabeledButtons(), {
+            config,
+            numGamepads: deviceInfo?.numGamepads ?? 4,
+        }) : null;
+
+        dom.presetDescription.textContent = preset?.description || '';
+        dom.presetChanges.innerHTML = '';
+        dom.presetLoad.disabled = !presetPlan || presetPlan.changes.length === 0;
+        if (!presetPlan) {
+            dom.presetSummary.textContent = 'No preset available for this device.';
+            return;
+        }
+
+        const parts = [`${presetPlan.changes.length} change(s)`];
+        if (presetPlan.unchanged) parts.push(`${presetPlan.unchanged} already match`);
+        if (presetPlan.unmatched.length) parts.push(`${presetPlan.unmatched.length} not in preset`);
+        if (presetPlan.skipped.length) parts.push(`${presetPlan.skipped.length} skipped`);
+        dom.presetSummary.textContent = parts.join(' · ');
+
+        for (const change of presetPlan.changes) {
+            const row = document.createElement('div');
+            row.className = 'preset-change';
+            row.innerHTML = '<span class="preset-change-label"></span><span class="preset-change-from"></span>' +
+                '<span class="preset-change-arrow">→</span><span class="preset-change-to"></span>';
+            row.children[0].textContent = change.label;
+            row.children[1].textContent = describePinOutput(change.from);
+            row.children[3].textContent = describePinOutput(change.to);
+            dom.presetChanges.appendChild(row);
+        }
+        for (const { label, reason } of presetPlan.skipped) {
+            const row = document.createElement('div');
+            row.className = 'preset-change preset-change-skipped';
+            row.textContent = `${label}: skipped (${reason})`;
+            dom.presetChanges.appendChild(row);
+        }
+        if (presetPlan.unmatched.length) {
+            const note = document.createElement('p');
+            note.className = 'preset-unmatched';
+            note.textContent = `Left as is: ${presetPlan.unmatched.join(', ')}`;
+            dom.presetChanges.appendChild(note);
+        }
     }
 
-    function updateColorGroupVisibility() {
-        const isSolid = parseInt(dom.animation.value) === 0;
-        dom.colorGroup.style.display = isSolid ? '' : 'none';
+    function loadSelectedPreset() {
+        const plan = presetPlan;
+        dom.presetDialog.close();
+        if (!plan) return;
+
+        for (const { expIdx, pinIdx, to } of plan.changes) {
+            const exp = expanderData.find(ex => ex.index === expIdx);
+            if (!exp) continue;
+            Object.assign(exp.pins[pinIdx], to);
+        }
+        renderPinMapping();
+        scheduleHistoryRecord();
+        const name = dom.presetSelect.selectedOptions[0]?.textContent || 'preset';
+        log(`Loaded ${name} (${plan.changes.length} pins). Click Apply to send to device.`, 'success');
     }
 
     // ========================================================================
-    // Button Mapping UI
+    // Profile Library
     // ========================================================================
 
-    function renderPinMappingTable() {
-        if (!expanderData || !dom.pinMappingBody) return;
-
-        const pmConfig = config.pin_mapping;
-        const hasKbd = picoctr.hasKeyboardSupport();
-        const hasMouse = picoctr.hasMouseSupport();
-        const numGamepads = deviceInfo ? deviceInfo.numGamepads : 4;
+    /** Read the device's live settings and pin maps as a profile */
+    async function readDeviceProfile(name = '') {
+        const settings = await picoctr.getSettings();
+        const numExp = deviceInfo ? deviceInfo.numExpanders : 4;
+        const expanders = await picoctr.loadAllExpanders(numExp);
+        if (ledMapSupported) await readLedMaps(expanders, numExp);
+        return PicoCTRProfile.create({
+            config,
+            settings: normalizeSettings(settings),
+            expanders,
+            deviceInfo,
+            name,
+        });
+    }
 
-        // Flatten all labeled pins from all active expanders into one list
-        const allButtons = [];
-        for (const exp of expanderData) {
-            if (!exp.active) continue;
-            exp.pins.forEach((pin, pinIdx) => {
-                if (pin.label && pin.label.trim()) {
-                    allButtons.push({ expIdx: exp.index, pinIdx, pin });
-                }
+    /**
+     * Send a profile's settings and pin maps to the device (RAM only) and
+     * refresh the UI from the device afterwards.
+     */
+    async function applyProfileToDevice(profile) {
+        if (profile.settings) {
+            await picoctr.setSettings(deviceSettings({ ...getSettingsFromUI(), ...profile.settings }));
+        }
+        for (const profExp of profile.expanders) {
+            const exp = expanderData?.find(e => e.index === profExp.index);
+            if (!exp || !(exp.active || profExp.active)) continue;
+            // Pins missing from the profile keep their current mapping
+            const fwPins = exp.pins.map((p, i) => {
+                const src = profExp.pins[i] || p;
+                return {
+                    t: src.output_type ?? 0,
+                    tg: src.output_target ?? 0,
+                    c: src.output_code ?? 0,
+                };
             });
+            await picoctr.setPinMap(profExp.index, fwPins);
+            if (ledMapSupported && profExp.pins.some(p => p.led !== undefined)) {
+                const leds = exp.pins.map((p, i) => ledToFirmware(profExp.pins[i]?.led !== undefined ? profExp.pins[i].led : p.led));
+                await picoctr.setLedMap(profExp.index, leds);
+            }
         }
+        await readSettings();
+        await readPinMappings();
+    }
 
-        dom.pinMappingBody.innerHTML = '';
+    async function refreshProfileList() {
+        if (!profileLibrary) return;
 
-        if (allButtons.length === 0) {
-            dom.pinMappingBody.innerHTML = '<tr><td colspan="4" class="pin-empty">No mapped buttons</td></tr>';
+        const board = dom.profileShowAll.checked ? undefined : deviceInfo?.board;
+        let records;
+        try {
+            records = await profileLibrary.list(board);
+        } catch (err) {
+            log(`Failed to load profile library: ${err.message}`, 'error');
             return;
         }
 
-        // Sort buttons alphabetically by label
-        allButtons.sort((a, b) => a.pin.label.localeCompare(b.pin.label));
-
-        // Update accordion hint with count
-        const hint = dom.mappingAccordion?.querySelector('.accordion-hint');
-        if (hint) hint.textContent = `${allButtons.length} buttons`;
-
-        for (const { expIdx, pinIdx, pin } of allButtons) {
-            const row = document.createElement('tr');
-            row.className = 'pin-row';
+        dom.profileList.innerHTML = '';
+        dom.profileListEmpty.style.display = records.length ? 'none' : '';
+
+        for (const record of records) {
+            const item = document.createElement('div');
+            item.className = 'profile-item';
+            item.innerHTML = `
+                <div class="profile-item-info">
+                    <span class="profile-item-name"></span>
+                    <span class="profile-item-meta"></span>
+                </div>
+                <div class="profile-item-actions">
+                    <button class="btn btn-primary btn-small" data-action="apply" title="Send this profile to the device">Apply</button>
+                    <button class="btn btn-ghost btn-small" data-action="compare" title="Compare with the device">⇄</button>
+                    <button class="btn btn-ghost btn-small" data-action="rename" title="Rename">✏️</button>
+                    <button class="btn btn-ghost btn-small" data-action="duplicate" title="Duplicate">⧉</button>
+                    <button class="btn btn-ghost btn-small" data-action="delete" title="Delete">🗑️</button>
+                </div>
+            `;
+            item.querySelector('.profile-item-name').textContent = record.name;
+            item.querySelector('.profile-item-meta').textContent =
+                `${record.board} · v${record.firmware} · ${new Date(record.updated).toLocaleString()}`;
+
+            item.querySelector('.profile-item-actions').addEventListener('click', (e) => {
+                const action = e.target.closest('button')?.dataset.action;
+                if (action) handleProfileAction(action, record);
+            });
+            dom.profileList.appendChild(item);
+        }
+    }
 
-            // Button name (label)
-            const tdLabel = document.createElement('td');
-            tdLabel.className = 'pin-label';
-            tdLabel.textContent = pin.label;
-            row.appendChild(tdLabel);
+    async function handleProfileSave() {
+        if (!profileLibrary || !picoctr || !picoctr.connected) return;
 
-            // Output Type select
-            const tdType = document.createElement('td');
-            const selType = document.createElement('select');
-            selType.className = 'pin-select';
-            selType.dataset.expander = expIdx;
-            selType.dataset.pin = pinIdx;
-            selType.dataset.field = 'output_type';
-            for (const ot of pmConfig.output_types) {
-                if (ot.value === 3 && !hasKbd) continue;
-                if (ot.value === 4 && !hasMouse) continue;
-                const opt = document.createElement('option');
-                opt.value = ot.value;
-                opt.textContent = ot.label;
-                selType.appendChild(opt);
-            }
-            selType.value = pin.output_type;
-            selType.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_type', parseInt(selType.value)));
-            tdType.appendChild(selType);
-            row.appendChild(tdType);
-
-            // Output Target select
-            const tdTarget = document.createElement('td');
-            const selTarget = document.createElement('select');
-            selTarget.className = 'pin-select';
-            selTarget.dataset.field = 'output_target';
-            if (pin.output_type === 1 || pin.output_type === 2) {
-                for (let p = 0; p < numGamepads; p++) {
-                    const opt = document.createElement('option');
-                    opt.value = p;
-                    opt.textContent = `Player ${p + 1}`;
-                    selTarget.appendChild(opt);
-                }
-            } else {
-                const opt = document.createElement('option');
-                opt.value = 0;
-                opt.textContent = '\u2014';
-                selTarget.appendChild(opt);
-            }
-            selTarget.value = pin.output_target;
-            selTarget.disabled = pin.output_type === 0;
-            selTarget.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_target', parseInt(selTarget.value)));
-            tdTarget.appendChild(selTarget);
-            row.appendChild(tdTarget);
-
-            // Output Code select
-            const tdCode = document.createElement('td');
-            const selCode = document.createElement('select');
-            selCode.className = 'pin-select';
-            selCode.dataset.field = 'output_code';
-            populateCodeOptions(selCode, pin.output_type);
-            selCode.value = pin.output_code;
-            selCode.disabled = pin.output_type === 0;
-            selCode.addEventListener('change', () => onPinFieldChange(expIdx, pinIdx, 'output_code', parseInt(selCode.value)));
-            tdCode.appendChild(selCode);
-            row.appendChild(tdCode);
+        const name = dom.profileNameInput.value.trim();
+        if (!name) {
+            log('Enter a profile name first', 'warning');
+            dom.profileNameInput.focus();
+            return;
+        }
 
-            dom.pinMappingBody.appendChild(row);
+        try {
+            const profile = await readDeviceProfile(name);
+            await profileLibrary.save(name, profile);
+            dom.profileNameInput.value = '';
+            log(`Profile "${name}" saved`, 'success');
+            await refreshProfileList();
+        } catch (err) {
+            log(`Failed to save profile: ${err.message}`, 'error');
         }
     }
 
-    function populateCodeOptions(select, outputType) {
-        select.innerHTML = '';
-        const pmConfig = config.pin_mapping;
-
-        switch (outputType) {
-            case 0: { // Disabled
-                const opt = document.createElement('option');
-                opt.value = 0;
-                opt.textContent = '—';
-                select.appendChild(opt);
-                break;
-            }
-            case 1: { // Gamepad button
-                for (const btn of pmConfig.gamepad_buttons) {
-                    const opt = document.createElement('option');
-                    opt.value = btn.idx;
-                    opt.textContent = btn.label;
-                    select.appendChild(opt);
+    async function handleProfileAction(action, record) {
+        try {
+            switch (action) {
+                case 'apply': {
+                    if (!picoctr || !picoctr.connected) return;
+                    if (record.board !== deviceInfo?.board &&
+                        !confirm(`Profile "${record.name}" was saved from ${record.board}, but this device is ${deviceInfo?.board}.\n\nButton positions may not match. Apply anyway?`)) {
+                        return;
+                    }
+                    const { profile } = PicoCTRProfile.parse(record, profileConfig());
+                    log(`Applying profile "${record.name}"...`);
+                    await applyProfileToDevice(profile);
+                    log(`Profile "${record.name}" applied. Use Save to Flash to persist it.`, 'success');
+                    return;
                 }
-                break;
-            }
-            case 2: { // D-pad
-                for (const dir of pmConfig.dpad_directions) {
-                    const opt = document.createElement('option');
-                    opt.value = dir.idx;
-                    opt.textContent = dir.label;
-                    select.appendChild(opt);
+                case 'compare': {
+                    const { profile } = PicoCTRProfile.parse(record, profileConfig());
+                    await showDiffWithProfile(profile, record.name);
+                    return;
                 }
-                break;
-            }
-            case 3: { // Keyboard
-                // Common keyboard keys
-                const commonKeys = [
-                    [0x04, 'A'], [0x05, 'B'], [0x06, 'C'], [0x07, 'D'],
-                    [0x08, 'E'], [0x09, 'F'], [0x0A, 'G'], [0x0B, 'H'],
-                    [0x0C, 'I'], [0x0D, 'J'], [0x0E, 'K'], [0x0F, 'L'],
-                    [0x10, 'M'], [0x11, 'N'], [0x12, 'O'], [0x13, 'P'],
-                    [0x14, 'Q'], [0x15, 'R'], [0x16, 'S'], [0x17, 'T'],
-                    [0x18, 'U'], [0x19, 'V'], [0x1A, 'W'], [0x1B, 'X'],
-                    [0x1C, 'Y'], [0x1D, 'Z'],
-                    [0x1E, '1'], [0x1F, '2'], [0x20, '3'], [0x21, '4'],
-                    [0x22, '5'], [0x23, '6'], [0x24, '7'], [0x25, '8'],
-                    [0x26, '9'], [0x27, '0'],
-                    [0x28, 'Enter'], [0x29, 'Escape'], [0x2A, 'Backspace'],
-                    [0x2B, 'Tab'], [0x2C, 'Space'],
-                    [0x3A, 'F1'], [0x3B, 'F2'], [0x3C, 'F3'], [0x3D, 'F4'],
-                    [0x3E, 'F5'], [0x3F, 'F6'], [0x40, 'F7'], [0x41, 'F8'],
-                    [0x42, 'F9'], [0x43, 'F10'], [0x44, 'F11'], [0x45, 'F12'],
-                    [0x4F, 'Right Arrow'], [0x50, 'Left Arrow'],
-                    [0x51, 'Down Arrow'], [0x52, 'Up Arrow'],
-                    [0xE0, 'Left Ctrl'], [0xE1, 'Left Shift'],
-                    [0xE2, 'Left Alt'], [0xE3, 'Left GUI'],
-                    [0xE4, 'Right Ctrl'], [0xE5, 'Right Shift'],
-                    [0xE6, 'Right Alt'], [0xE7, 'Right GUI'],
-                ];
-                for (const [code, label] of commonKeys) {
-                    const opt = document.createElement('option');
-                    opt.value = code;
-                    opt.textContent = `${label} (0x${code.toString(16).toUpperCase().padStart(2, '0')})`;
-                    select.appendChild(opt);
+                case 'rename': {
+                    const name = prompt('Rename profile:', record.name)?.trim();
+                    if (!name || name === record.name) return;
+                    await profileLibrary.rename(record.id, name);
+                    log(`Profile renamed to "${name}"`, 'success');
+                    break;
                 }
-                break;
-            }
-            case 4: { // Mouse button
-                for (const btn of pmConfig.mouse_buttons) {
-                    const opt = document.createElement('option');
-                    opt.value = btn.idx;
-                    opt.textContent = btn.label;
-                    select.appendChild(opt);
+                case 'duplicate': {
+                    await profileLibrary.duplicate(record.id);
+                    log(`Profile "${record.name}" duplicated`, 'success');
+                    break;
+                }
+                case 'delete': {
+                    if (!confirm(`Delete profile "${record.name}"?`)) return;
+                    await profileLibrary.delete(record.id);
+                    log(`Profile "${record.name}" deleted`, 'info');
+                    break;
                 }
-                break;
             }
+            await refreshProfileList();
+        } catch (err) {
+            log(`Profile ${action} failed: ${err.message}`, 'error');
         }
     }
 
-    function onPinFieldChange(expIdx, pinIdx, field, value) {
-        if (!expanderData) return;
-        const exp = expanderData.find(e => e.index === expIdx);
-        if (!exp) return;
+    // ========================================================================
+    // Compare Configurations
+    // ========================================================================
 
-        const pin = exp.pins[pinIdx];
-        if (field === 'output_type') {
-            pin.output_type = value;
-            // Reset target and code when type changes
-            pin.output_target = 0;
-            pin.output_code = 0;
-            // Re-render the row to update dependent selects
-            renderPinMappingTable();
-        } else if (field === 'output_target') {
-            pin.output_target = value;
-        } else if (field === 'output_code') {
-            pin.output_code = value;
+    const DIFF_SOURCES = ['ram', 'flash', 'profile'];
+
+    /** Read live (RAM) and flash state from the device into diffState */
+    async function readDiffDeviceState() {
+        if (!picoctr || !picoctr.connected) return;
+        try {
+            const ram = await readDeviceProfile();
+            const numExp = deviceInfo ? deviceInfo.numExpanders : 4;
+            const flash = {
+                settings: normalizeSettings(await picoctr.getFlashSettings()),
+                expanders: await readFlashPinMaps(numExp),
+            };
+            diffState = { profile: null, profileName: '', ...diffState, ram, flash };
+            renderDiffTable();
+        } catch (err) {
+            log(`Failed to read device state for compare: ${err.message}`, 'error');
         }
     }
 
-    async function applyPinMapping() {
-        if (!expanderData || !picoctr || !picoctr.connected) return;
+    async function showDiffWithProfile(profile, name) {
+        diffState = { ...diffState, profile, profileName: name };
+        dom.diffAccordion.open = true;
+        if (!diffState.ram) {
+            await readDiffDeviceState();
+        } else {
+            renderDiffTable();
+        }
+        dom.diffSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
 
-        try {
-            log('Applying pin mappings to device...');
-            for (const exp of expanderData) {
-                if (!exp.active) continue;
-                const fwPins = exp.pins.map(p => ({
-                    t: p.output_type,
-                    tg: p.output_target,
-                    c: p.output_code,
-                }));
-                await picoctr.setPinMap(exp.index, fwPins);
+    function handleDiffProfileLoad(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { profile, warnings } = PicoCTRProfile.parse(e.target.result, profileConfig());
+                for (const w of warnings) log(w, 'warning');
+                showDiffWithProfile(profile, file.name);
+            } catch (err) {
+                log(`Failed to load profile: ${err.message}`, 'error');
             }
-            log('Pin mappings applied (not saved to flash)', 'success');
-        } catch (err) {
-            log(`Failed to apply pin mappings: ${err.message}`, 'error');
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    function formatSettingValue(field, value) {
+        if (value === undefined || value === null) return '—';
+        if (field.type === 'bool') return value ? 'On' : 'Off';
+        if (field.type === 'enum') {
+            const opt = picoctr.getEnumOptions(field.enum).find(o => o.id === value);
+            return opt ? opt.label : String(value);
         }
+        return String(value);
     }
 
-    // ========================================================================
-    // Mapping Import / Export
-    // ========================================================================
+    /**
+     * Whether two pins map to the same output and LED. A pin without a led
+     * (flash pin maps, firmware without per-button LEDs) leaves the LED
+     * unknown, so only the output is compared.
+     */
+    function samePinOutput(a, b) {
+        return (a.output_type ?? 0) === (b.output_type ?? 0) &&
+            (a.output_target ?? 0) === (b.output_target ?? 0) &&
+            (a.output_code ?? 0) === (b.output_code ?? 0) &&
+            (a.led === undefined || b.led === undefined || sameLed(a.led, b.led));
+    }
 
-    function exportMapping() {
-        if (!expanderData) {
-            log('No mapping data to export', 'error');
-            return;
+    function sameLed(a, b) {
+        if (!a || !b) return !a && !b;
+        return a.index === b.index && a.r === b.r && a.g === b.g && a.b === b.b;
+    }
+
+    /** describePinOutput() plus the pin's LED when it is known */
+    function describeDiffPin(pin) {
+        if (pin.led === undefined) return describePinOutput(pin);
+        const led = pin.led ? `LED ${pin.led.index} ${rgbToHex(pin.led.r, pin.led.g, pin.led.b)}` : 'no LED';
+        return `${describePinOutput(pin)} · ${led}`;
+    }
+
+    /**
+     * Build one row per settings field and per labeled pin, with the value
+     * from each source (undefined where a source has no data).
+     */
+    function buildDiffRows() {
+        const rows = [];
+        const { ram, flash, profile } = diffState;
+
+        for (const field of PicoCTRProfile.settingsFields(config)) {
+            const values = {
+                ram: ram.settings[field.name],
+                flash: flash.settings[field.name],
+                profile: profile?.settings?.[field.name],
+            };
+            rows.push({
+                kind: 'setting',
+                key: field.name,
+                label: field.label,
+                values,
+                format: v => formatSettingValue(field, v),
+                same: (a, b) => a === b,
+            });
         }
 
-        const exportData = {
-            version: 1,
-            board: deviceInfo ? deviceInfo.board : 'unknown',
-            variant: deviceInfo ? deviceInfo.variant : 'unknown',
-            firmware: deviceInfo ? deviceInfo.version : 'unknown',
-            exported: new Date().toISOString(),
-            expanders: expanderData
-                .filter(e => e.active)
-                .map(exp => ({
-                    index: exp.index,
-                    pins: exp.pins.map(p => ({
-                        label: p.label || '',
-                        output_type: p.output_type,
-                        output_target: p.output_target,
-                        output_code: p.output_code,
-                    })),
-                })),
-        };
+        for (const exp of ram.expanders) {
+            const flashExp = flash.expanders?.find(e => e.index === exp.index);
+            const profExp = profile?.expanders.find(e => e.index === exp.index);
+            if (!exp.active && !profExp?.active) continue;
 
-        const json = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const board = (deviceInfo?.board || 'picoctr').replace(/\s+/g, '-').toLowerCase();
-        a.download = `${board}-mapping.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+            exp.pins.forEach((pin, pinIdx) => {
+                if (!pin.label || !pin.label.trim()) return;
+                rows.push({
+                    kind: 'pin',
+                    key: `${exp.index}:${pinIdx}`,
+                    expIdx: exp.index,
+                    pinIdx,
+                    label: pin.label,
+                    values: {
+                        ram: pin,
+                        flash: flashExp?.pins[pinIdx],
+                        profile: profExp?.pins[pinIdx],
+                    },
+                    format: describeDiffPin,
+                    same: samePinOutput,
+                });
+            });
+        }
 
-        log('Mapping exported', 'success');
+        for (const row of rows) {
+            const present = DIFF_SOURCES.map(src => row.values[src]).filter(v => v !== undefined);
+            row.changed = present.some(v => !row.same(v, present[0]));
+        }
+        return rows;
     }
 
-    function handleMappingImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    function renderDiffTable() {
+        if (!diffState || !diffState.ram) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importData = JSON.parse(e.target.result);
+        dom.diffProfileName.textContent = diffState.profile
+            ? `Profile: ${diffState.profileName || diffState.profile.name || 'unnamed'}`
+            : 'No profile loaded';
 
-                if (!importData.expanders || !Array.isArray(importData.expanders)) {
-                    throw new Error('Invalid mapping file: missing expanders array');
-                }
+        const source = dom.diffApplySource.value;
+        const rows = buildDiffRows();
+        const visible = dom.diffOnlyChanges.checked ? rows.filter(r => r.changed) : rows;
 
-                if (!expanderData) {
-                    throw new Error('Connect to a device and load mappings first');
-                }
+        const hint = dom.diffAccordion.querySelector('.accordion-hint');
+        if (hint) hint.textContent = `${rows.filter(r => r.changed).length} difference(s)`;
 
-                // Warn if mapping was exported from a different board type
-                if (importData.board && deviceInfo && deviceInfo.board &&
-                    importData.board !== deviceInfo.board) {
-                    const proceed = confirm(
-                        `This mapping was exported from a different board type:\n\n` +
-                        `  Mapping: ${importData.board}\n` +
-                        `  Device:  ${deviceInfo.board}\n\n` +
-                        `Button positions may not match. Import anyway?`
-                    );
-                    if (!proceed) {
-                        log('Import cancelled (board mismatch)', 'warning');
-                        return;
-                    }
-                }
+        dom.diffBody.innerHTML = '';
+        dom.diffSelectAll.checked = false;
+        if (visible.length === 0) {
+            dom.diffBody.innerHTML = '<tr><td colspan="5" class="pin-empty">No differences</td></tr>';
+            updateDiffApplyButton();
+            return;
+        }
 
-                let applied = 0;
-                for (const impExp of importData.expanders) {
-                    const localExp = expanderData.find(ex => ex.index === impExp.index);
-                    if (!localExp || !localExp.active) continue;
+        for (const row of visible) {
+            const tr = document.createElement('tr');
+            tr.className = 'pin-row diff-row' + (row.changed ? ' diff-changed' : '');
 
-                    for (let i = 0; i < impExp.pins.length && i < localExp.pins.length; i++) {
-                        const src = impExp.pins[i];
-                        const dst = localExp.pins[i];
-                        // Only overwrite functional fields, preserve label from device
-                        dst.output_type = src.output_type ?? 0;
-                        dst.output_target = src.output_target ?? 0;
-                        dst.output_code = src.output_code ?? 0;
-                        applied++;
-                    }
+            const srcValue = row.values[source];
+            const selectable = srcValue !== undefined && !row.same(srcValue, row.values.ram);
+
+            const tdSel = document.createElement('td');
+            tdSel.className = 'diff-col-select';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.className = 'diff-select';
+            cb.disabled = !selectable;
+            cb.addEventListener('change', updateDiffApplyButton);
+            cb.diffRow = row;
+            tdSel.appendChild(cb);
+            tr.appendChild(tdSel);
+
+            const tdLabel = document.createElement('td');
+            tdLabel.className = 'pin-label';
+            tdLabel.textContent = row.label;
+            tr.appendChild(tdLabel);
+
+            for (const src of DIFF_SOURCES) {
+                const td = document.createElement('td');
+                const value = row.values[src];
+                td.textContent = value === undefined ? '—' : row.format(value);
+                if (value === undefined) {
+                    td.className = 'diff-cell-missing';
+                } else if (src !== 'ram' && !row.same(value, row.values.ram)) {
+                    td.className = 'diff-cell-differs';
                 }
+                tr.appendChild(td);
+            }
 
-                renderPinMappingTable();
-                log(`Imported mapping (${applied} pins). Click Apply to send to device.`, 'success');
-            } catch (err) {
-                log(`Import failed: ${err.message}`, 'error');
+            dom.diffBody.appendChild(tr);
+        }
+        updateDiffApplyButton();
+    }
+
+    function updateDiffApplyButton() {
+        const selected = dom.diffBody.querySelectorAll('.diff-select:checked').length;
+        dom.btnDiffApply.disabled = selected === 0;
+    }
+
+    /** Apply the selected rows' values from the chosen source to the device */
+    async function applyDiffSelection() {
+        const source = dom.diffApplySource.value;
+        const selected = [...dom.diffBody.querySelectorAll('.diff-select:checked')].map(cb => cb.diffRow);
+        if (selected.length === 0) return;
+
+        const settings = { ...diffState.ram.settings };
+        const expanders = new Map();
+        const ledExpanders = new Set();
+        let settingsChanged = false;
+
+        for (const row of selected) {
+            const value = row.values[source];
+            if (row.kind === 'setting') {
+                settings[row.key] = value;
+                settingsChanged = true;
+            } else {
+                if (!expanders.has(row.expIdx)) {
+                    const exp = diffState.ram.expanders.find(e => e.index === row.expIdx);
+                    expanders.set(row.expIdx, exp.pins.map(p => ({ ...p })));
+                }
+                const pin = expanders.get(row.expIdx)[row.pinIdx];
+                Object.assign(pin, {
+                    output_type: value.output_type ?? 0,
+                    output_target: value.output_target ?? 0,
+                    output_code: value.output_code ?? 0,
+                });
+                if (ledMapSupported && value.led !== undefined) {
+                    pin.led = value.led ? { ...value.led } : null;
+                    ledExpanders.add(row.expIdx);
+                }
             }
-        };
-        reader.readAsText(file);
+        }
 
-        // Reset input so the same file can be re-imported
-        event.target.value = '';
+        try {
+            log(`Applying ${selected.length} selected change(s) from ${source}...`);
+            if (settingsChanged) await picoctr.setSettings(deviceSettings(settings));
+            for (const [expIdx, pins] of expanders) {
+                await picoctr.setPinMap(expIdx, pins.map(p => ({
+                    t: p.output_type,
+                    tg: p.output_target,
+                    c: p.output_code,
+                })));
+                if (ledExpanders.has(expIdx)) {
+                    await picoctr.setLedMap(expIdx, pins.map(p => ledToFirmware(p.led)));
+                }
+            }
+            await readSettings();
+            await readPinMappings();
+            await readDiffDeviceState();
+            log(`${selected.length} change(s) applied (not saved to flash)`, 'success');
+        } catch (err) {
+            log(`Failed to apply changes: ${err.message}`, 'error');
+        }
     }
 
     // ========================================================================
@@ -636,8 +2253,14 @@
             });
 
             await readDeviceInfo();
+            // Before the settings, so a device playing its custom animation can show it
+            await readCustomAnimation();
             await readSettings();
             await readPinMappings();
+            resetEditHistory();
+            await offerSnapshotRestore();
+            await offerSharedProfile();
+            refreshProfileList();
             // Check for firmware updates in the background
             checkFirmwareUpdate();
         } catch (err) {
@@ -763,6 +2386,11 @@
     // ========================================================================
     // Settings Operations
     // ========================================================================
+    /** Device settings coerced to the config schema (fields the firmware lacks are left out) */
+    function normalizeSettings(s) {
+        return PicoCTRSettingsForm.normalize(PicoCTRProfile.settingsFields(config), s);
+    }
+
     async function readSettings() {
         try {
             log('Reading settings from device...');
@@ -771,30 +2399,61 @@
                 picoctr.getFlashSettings(),
             ]);
 
-            const normalize = (s) => ({
-                enable_rgb: s.enable_rgb ? 1 : 0,
-                rgb_animation: s.rgb_animation || 0,
-                rgb_r: s.rgb_r || 0,
-                rgb_g: s.rgb_g || 0,
-                rgb_b: s.rgb_b || 0,
-                led_count: s.led_count || 64,
-                led_brightness: s.led_brightness || 0,
-            });
-
-            currentSettings = normalize(settings);
-            flashSettings = normalize(flash);
+            currentSettings = normalizeSettings(settings);
+            flashSettings = normalizeSettings(flash);
+            // Hide settings this firmware doesn't know about
+            settingsForm.setAvailable(Object.keys(currentSettings));
+            const missing = PicoCTRProfile.settingsFields(config)
+                .filter(f => currentSettings[f.name] === undefined);
+            if (missing.length > 0 && !missingSettingsWarned) {
+                missingSettingsWarned = true;
+                log(`Firmware has no ${missing.map(f => f.label).join(', ')} setting(s)`, 'info');
+            }
 
             updateUIFromSettings(currentSettings);
-            updateColorGroupVisibility();
+            updateAnimationGroups();
             checkUnsavedChanges();
 
-            if (JSON.stringify(currentSettings) !== JSON.stringify(flashSettings)) {
-                log('Device has unsaved settings that differ from flash', 'warning');
+            if (JSON.stringify(currentSettings) !== JSON.stringify(flashSettings)) {
+                log('Device has unsaved settings that differ from flash', 'warning');
+            }
+
+            log('Settings loaded successfully', 'success');
+        } catch (err) {
+            log(`Failed to read settings: ${err.message}`, 'error');
+        }
+    }
+
+    /** Flash-persisted pin maps, or null on firmware without get_flash_pin_map */
+    async function readFlashPinMaps(numExp) {
+        try {
+            return await picoctr.loadFlashPinMaps(numExp);
+        } catch (err) {
+            if (!flashPinMapWarned) {
+                flashPinMapWarned = true;
+                log(`Firmware cannot report saved pin maps (${err.message}); mapping changes are not tracked`, 'info');
             }
+            return null;
+        }
+    }
 
-            log('Settings loaded successfully', 'success');
+    /** Add the device's button LEDs to loaded expanders (left out on firmware without LED maps) */
+    async function readLedMaps(expanders, numExp) {
+        try {
+            const maps = await picoctr.loadLedMaps(numExp);
+            for (const map of maps) {
+                const exp = expanders.find(e => e.index === map.index);
+                exp?.pins.forEach((pin, i) => {
+                    pin.led = map.leds[i] ?? null;
+                });
+            }
+            ledMapSupported = true;
         } catch (err) {
-            log(`Failed to read settings: ${err.message}`, 'error');
+            ledMapSupported = false;
+            if (!ledMapWarned) {
+                ledMapWarned = true;
+                log(`Firmware has no per-button LEDs (${err.message})`, 'info');
+            }
         }
     }
 
@@ -803,6 +2462,8 @@
             log('Reading pin mappings from device...');
             const numExp = deviceInfo ? deviceInfo.numExpanders : 4;
             expanderData = await picoctr.loadAllExpanders(numExp);
+            await readLedMaps(expanderData, numExp);
+            flashExpanderData = await readFlashPinMaps(numExp);
 
             const activeCount = expanderData.filter(e => e.active).length;
             const labeledCount = expanderData
@@ -810,13 +2471,14 @@
                 .reduce((n, e) => n + e.pins.filter(p => p.label && p.label.trim()).length, 0);
             log(`Loaded ${labeledCount} button(s) from ${activeCount} expander(s)`, 'success');
 
-            renderPinMappingTable();
+            renderPinMapping();
         } catch (err) {
             log(`Failed to read pin mappings: ${err.message}`, 'error');
         }
     }
 
     function showApplyDialog() {
+        renderMappingIssueList(dom.applyDialogIssues, false);
         dom.applyDialog.showModal();
     }
 
@@ -848,6 +2510,7 @@
 
             await new Promise(r => setTimeout(r, 500));
             await readSettings();
+            await readPinMappings();
             log('Settings saved to flash!', 'success');
         } catch (err) {
             log(`Failed to save settings: ${err.message}`, 'error');
@@ -870,12 +2533,12 @@
         }
     }
 
-    async function undoChanges() {
-        if (!confirm('Undo all pending changes?\n\nThe device will reboot and reload saved settings.\nAny unsaved changes will be lost.')) {
+    async function discardChanges() {
+        if (!confirm('Discard all pending changes?\n\nThe device will reboot and reload saved settings.\nAny unsaved changes will be lost.')) {
             return;
         }
         try {
-            log('Rebooting device to undo changes...');
+            log('Rebooting device to discard changes...');
             await picoctr.reboot();
             log('Device is rebooting...', 'warning');
         } catch (err) {
@@ -887,10 +2550,489 @@
         log('Device rebooted. Please reconnect.', 'info');
     }
 
+    // ========================================================================
+    // Custom Animation
+    // ========================================================================
+    const CUSTOM_DIRECTION_LABELS = { forward: 'Forward', reverse: 'Reverse', bounce: 'Back and forth' };
+    const CUSTOM_EASING_LABELS = { linear: 'Blend', smooth: 'Smooth blend', step: 'Hard edges' };
+
+    /** The "custom" entry of the animations enum, if the generated config has one */
+    function configCustomAnimation() {
+        return picoctr?.getEnumOptions('animations').find(a => a.name === 'custom');
+    }
+
+    /**
+     * rgb_animation value of the custom animation: from the config if it
+     * lists one, otherwise from the connected device's get_custom_animation
+     * reply. Undefined when neither knows it.
+     */
+    function customAnimationId() {
+        const entry = configCustomAnimation();
+        if (entry) return entry.id;
+        return customAnimationSupported ? customAnimationDeviceId : undefined;
+    }
+
+    /** Animation enum entries, with Custom added when only the device reports it */
+    function animationOptions() {
+        const options = picoctr?.getEnumOptions('animations') || [];
+        const id = customAnimationId();
+        if (id === undefined || configCustomAnimation()) return options;
+        return [...options, { id, name: 'custom', label: 'Custom' }];
+    }
+
+    /**
+     * Config that profiles and share links are validated against. The
+     * generated animations enum has no Custom entry, so the device-reported
+     * one is added. Offline its id is unknown, so rgb_animation is left
+     * unchecked until a device is connected.
+     */
+    function profileConfig() {
+        const enums = { ...config.enums, animations: animationOptions() };
+        if (!picoctr?.connected && customAnimationId() === undefined) delete enums.animations;
+        return { ...config, enums };
+    }
+
+    /**
+     * Offer Custom in the animation selects only where it can play: on a
+     * device that answered get_custom_animation, or offline when the config
+     * lists it.
+     */
+    function updateCustomAnimationOption() {
+        const connected = !!picoctr?.connected;
+        const entry = configCustomAnimation();
+        const id = customAnimationId();
+        for (const select of settingsForm?.enumSelects('animations') || []) {
+            if (entry) {
+                const option = select.querySelector(`option[value="${entry.id}"]`);
+                if (!option) continue;
+                option.hidden = connected && !customAnimationSupported;
+                option.disabled = option.hidden;
+                continue;
+            }
+            let option = select.querySelector('option[data-custom-animation]');
+            if (id === undefined) {
+                option?.remove();
+                continue;
+            }
+            if (!option) {
+                option = document.createElement('option');
+                option.dataset.customAnimation = '';
+                option.textContent = 'Custom';
+                select.appendChild(option);
+            }
+            option.value = id;
+        }
+        updateAnimationGroups();
+    }
+
+    function populateCustomAnimationSelects() {
+        for (const [select, values, labels] of [
+            [dom.customDirection, PicoCTRCustomAnimation.DIRECTIONS, CUSTOM_DIRECTION_LABELS],
+            [dom.customEasing, PicoCTRCustomAnimation.EASINGS, CUSTOM_EASING_LABELS],
+        ]) {
+            select.innerHTML = '';
+            for (const value of values) {
+                const el = document.createElement('option');
+                el.value = value;
+                el.textContent = labels[value];
+                select.appendChild(el);
+            }
+        }
+    }
+
+    function renderCustomAnimationEditor() {
+        customAnimation.stops = PicoCTRCustomAnimation.sortedStops(customAnimation);
+        dom.customStops.innerHTML = '';
+        customAnimation.stops.forEach((stop, i) => {
+            const row = document.createElement('div');
+            row.className = 'custom-stop';
+
+            const inpColor = document.createElement('input');
+            inpColor.type = 'color';
+            inpColor.className = 'custom-stop-color';
+            inpColor.title = 'Stop color';
+            inpColor.value = rgbToHex(stop.r, stop.g, stop.b);
+            inpColor.addEventListener('input', () => Object.assign(stop, hexToRgb(inpColor.value)));
+
+            const inpPos = document.createElement('input');
+            inpPos.type = 'range';
+            inpPos.className = 'form-range';
+            inpPos.min = 0;
+            inpPos.max = 255;
+            inpPos.value = stop.pos;
+            inpPos.title = 'Position along the strip';
+            inpPos.addEventListener('input', () => { stop.pos = parseInt(inpPos.value); });
+            // Keep the rows in strip order once the slider is let go
+            inpPos.addEventListener('change', renderCustomAnimationEditor);
+
+            const btnRemove = document.createElement('button');
+            btnRemove.type = 'button';
+            btnRemove.className = 'btn btn-ghost btn-small';
+            btnRemove.title = 'Remove this stop';
+            btnRemove.textContent = '✕';
+            btnRemove.disabled = customAnimation.stops.length <= 1;
+            btnRemove.addEventListener('click', () => {
+                customAnimation.stops.splice(i, 1);
+                renderCustomAnimationEditor();
+            });
+
+            row.append(inpColor, inpPos, btnRemove);
+            dom.customStops.appendChild(row);
+        });
+
+        dom.customPeriod.value = customAnimation.period_ms / 1000;
+        dom.customDirection.value = customAnimation.direction;
+        dom.customEasing.value = customAnimation.easing;
+        updateCustomAnimationStatus();
+    }
+
+    /** Size readout, button states and whether Custom can be picked on this device */
+    function updateCustomAnimationStatus() {
+        const bytes = PicoCTRCustomAnimation.encode(customAnimation).length;
+        const chunks = Math.ceil(bytes / PicoCTRDevice.CUSTOM_ANIMATION_CHUNK);
+        dom.customAnimationSize.textContent = `${bytes} bytes · ${chunks} ${chunks === 1 ? 'command' : 'commands'}`;
+        dom.btnCustomAddStop.disabled = customAnimation.stops.length >= PicoCTRCustomAnimation.MAX_STOPS;
+
+        const connected = !!picoctr?.connected;
+        dom.btnCustomUpload.disabled = !connected || !customAnimationSupported;
+        updateCustomAnimationOption();
+    }
+
+    /** New stop halfway across the widest gap, in the color already shown there */
+    function addCustomStop() {
+        const stops = customAnimation.stops;
+        let pos = 0;
+        if (stops.length > 0) {
+            let widest = -1;
+            stops.forEach((stop, i) => {
+                const next = stops[(i + 1) % stops.length];
+                const gap = (next.pos - stop.pos + 256) % 256 || 256;
+                if (gap > widest) {
+                    widest = gap;
+                    pos = Math.round(stop.pos + gap / 2) % 256;
+                }
+            });
+        }
+        const [r, g, b] = PicoCTRCustomAnimation.colorAt(customAnimation, pos / 256);
+        stops.push({ pos, r, g, b });
+        renderCustomAnimationEditor();
+    }
+
+    function onCustomTimingChange() {
+        const seconds = parseFloat(dom.customPeriod.value);
+        const ms = Math.round((Number.isFinite(seconds) ? seconds : 4) * 1000);
+        customAnimation.period_ms = Math.min(PicoCTRCustomAnimation.MAX_PERIOD_MS,
+            Math.max(PicoCTRCustomAnimation.MIN_PERIOD_MS, ms));
+        customAnimation.direction = dom.customDirection.value;
+        customAnimation.easing = dom.customEasing.value;
+        dom.customPeriod.value = customAnimation.period_ms / 1000;
+    }
+
+    /** Load the device's custom animation into the editor (kept as is on firmware without one) */
+    async function readCustomAnimation() {
+        let bytes;
+        customAnimationSupported = false;
+        customAnimationDeviceId = null;
+        try {
+            const reply = await picoctr.getCustomAnimation();
+            if (reply.animation === undefined && !configCustomAnimation()) {
+                throw new Error('no animation id reported');
+            }
+            bytes = reply.bytes;
+            customAnimationDeviceId = reply.animation ?? null;
+            customAnimationSupported = true;
+        } catch (err) {
+            if (!customAnimationWarned) {
+                customAnimationWarned = true;
+                log(`Firmware has no custom animation (${err.message})`, 'info');
+            }
+        }
+        if (bytes?.length) {
+            try {
+                customAnimation = PicoCTRCustomAnimation.decode(bytes);
+            } catch (err) {
+                log(`Ignoring the device's custom animation: ${err.message}`, 'warning');
+            }
+        }
+        renderCustomAnimationEditor();
+    }
+
+    async function uploadCustomAnimation() {
+        const bytes = PicoCTRCustomAnimation.encode(customAnimation);
+        dom.btnCustomUpload.disabled = true;
+        try {
+            await picoctr.setCustomAnimation(bytes);
+            log(`Sent custom animation (${customAnimation.stops.length} stops, ${bytes.length} bytes)`, 'success');
+            if (getSettingsFromUI().rgb_animation === customAnimationId()) {
+                log('Apply the settings to play it, and Save to Flash to keep it', 'info');
+            }
+        } catch (err) {
+            log(`Failed to send custom animation: ${err.message}`, 'error');
+        } finally {
+            updateCustomAnimationStatus();
+        }
+    }
+
+    // ========================================================================
+    // Undo / Redo History
+    // ========================================================================
+
+    /** Settings and pin outputs as shown in the UI */
+    function captureEditState() {
+        return {
+            settings: getSettingsFromUI(),
+            expanders: (expanderData || []).filter(e => e.active).map(e => ({
+                index: e.index,
+                pins: e.pins.map(p => [
+                    p.output_type, p.output_target, p.output_code,
+                    p.led ? [p.led.index, p.led.r, p.led.g, p.led.b] : null,
+                ]),
+            })),
+        };
+    }
+
+    /** Record the UI state once edits settle, so a slider drag is one step */
+    function scheduleHistoryRecord() {
+        clearTimeout(historyTimer);
+        historyTimer = setTimeout(flushHistoryRecord, HISTORY_COALESCE_MS);
+    }
+
+    function flushHistoryRecord() {
+        clearTimeout(historyTimer);
+        historyTimer = null;
+        if (historyBusy || !expanderData || !picoctr?.connected) return;
+        if (editHistory.record(captureEditState())) updateHistoryButtons();
+    }
+
+    /** Start the history from the current state (or empty it when disconnected) */
+    function resetEditHistory() {
+        clearTimeout(historyTimer);
+        historyTimer = null;
+        if (expanderData && picoctr?.connected) {
+            editHistory.reset(captureEditState());
+        } else {
+            editHistory.clear();
+        }
+        updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+        const connected = !!picoctr?.connected;
+        dom.btnHistoryUndo.disabled = !connected || historyBusy || !editHistory.canUndo;
+        dom.btnHistoryRedo.disabled = !connected || historyBusy || !editHistory.canRedo;
+    }
+
+    function restoreEditState(state) {
+        updateUIFromSettings(state.settings);
+        updateAnimationGroups();
+        for (const saved of state.expanders) {
+            const exp = expanderData.find(e => e.index === saved.index);
+            if (!exp) continue;
+            saved.pins.forEach(([type, target, code, led], pinIdx) => {
+                const pin = exp.pins[pinIdx];
+                if (!pin) return;
+                Object.assign(pin, { output_type: type, output_target: target, output_code: code });
+                if (ledMapSupported) pin.led = led ? { index: led[0], r: led[1], g: led[2], b: led[3] } : null;
+            });
+        }
+        renderPinMapping();
+    }
+
+    /**
+     * Step the history back (-1) or forward (+1) and re-apply that state to
+     * the device's RAM, keeping the session connected.
+     */
+    async function stepHistory(direction) {
+        if (historyBusy || !picoctr?.connected || !expanderData) return;
+        flushHistoryRecord();
+
+        const previous = editHistory.current;
+        const state = direction < 0 ? editHistory.undo() : editHistory.redo();
+        if (!state) return;
+
+        const action = direction < 0 ? 'Undo' : 'Redo';
+        historyBusy = true;
+        updateHistoryButtons();
+        try {
+            await applyEditState(state);
+            log(`${action}: state re-applied to device (not saved to flash)`, 'success');
+        } catch (err) {
+            log(`${action} failed: ${err.message}`, 'error');
+            // Step back so the history, the UI and the device agree again
+            if (direction < 0) editHistory.redo();
+            else editHistory.undo();
+            try {
+                await applyEditState(previous);
+            } catch (restoreErr) {
+                log(`Could not restore the previous state: ${restoreErr.message}. Use Refresh to resync.`, 'error');
+            }
+        } finally {
+            historyBusy = false;
+            updateHistoryButtons();
+        }
+    }
+
+    /** Show a history state and send it to the device's RAM */
+    async function applyEditState(state) {
+        restoreEditState(state);
+        await picoctr.setSettings(state.settings);
+        currentSettings = { ...state.settings };
+        await applyPinMapping();
+    }
+
+    function handleHistoryKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        const redo = key === 'y' || (key === 'z' && e.shiftKey);
+        if (key !== 'z' && !redo) return;
+
+        // Text fields keep their own undo, and dialogs are left alone
+        const textField = e.target.closest?.('textarea, input:not([type="checkbox"]):not([type="radio"]):not([type="range"])');
+        if (textField || document.querySelector('dialog[open]')) return;
+        if (!picoctr?.connected) return;
+
+        e.preventDefault();
+        stepHistory(redo ? 1 : -1);
+    }
+
+    // ========================================================================
+    // Pre-Update Configuration Snapshot
+    // ========================================================================
+
+    const SNAPSHOT_STORAGE_KEY = 'picoctr.preUpdateSnapshot';
+
+    /**
+     * Store the device's saved (flash) settings and pin maps in localStorage
+     * as a profile so they can be compared and re-applied after a flash.
+     * Unsaved edits are left out. Firmware that cannot report its saved
+     * state gets a snapshot of the live (RAM) state instead; `source` records
+     * which one was taken.
+     */
+    async function captureConfigSnapshot() {
+        const live = await readDeviceProfile('Pre-update snapshot');
+        let snapshot = { ...live, source: 'ram' };
+        try {
+            const settings = normalizeSettings(await picoctr.getFlashSettings());
+            const flashMaps = await readFlashPinMaps(deviceInfo ? deviceInfo.numExpanders : 4);
+            if (flashMaps) {
+                // Button LEDs have no readable saved copy, so they are left out
+                const expanders = live.expanders.map(exp => {
+                    const flashPins = flashMaps.find(f => f.index === exp.index)?.pins || [];
+                    return {
+                        index: exp.index,
+                        active: exp.active,
+                        pins: exp.pins.map((p, i) => {
+                            const src = flashPins[i] || p;
+                            return {
+                                label: p.label,
+                                output_type: src.output_type,
+                                output_target: src.output_target,
+                                output_code: src.output_code,
+                            };
+                        }),
+                    };
+                });
+                snapshot = {
+                    ...PicoCTRProfile.create({ config, settings, expanders, deviceInfo, name: live.name }),
+                    source: 'flash',
+                };
+            }
+        } catch (err) {
+            log(`Could not read saved settings (${err.message}); snapshot holds the live state`, 'warning');
+        }
+        localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+        return snapshot;
+    }
+
+    function loadConfigSnapshot() {
+        try {
+            return JSON.parse(localStorage.getItem(SNAPSHOT_STORAGE_KEY) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    function clearConfigSnapshot() {
+        localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+    }
+
+    /**
+     * Compare a snapshot against the state just read from the device.
+     * Returns the names of changed settings and labels of changed pins.
+     */
+    function diffConfigSnapshot(snapshot) {
+        const settings = Object.keys(snapshot.settings || {}).filter(key =>
+            currentSettings && snapshot.settings[key] !== currentSettings[key]);
+
+        const pins = [];
+        for (const snapExp of snapshot.expanders || []) {
+            const exp = expanderData?.find(e => e.index === snapExp.index);
+            if (!exp) continue;
+            snapExp.pins.forEach((sp, i) => {
+                const p = exp.pins[i];
+                if (!p) return;
+                if (sp.output_type !== p.output_type || sp.output_target !== p.output_target || sp.output_code !== p.output_code) {
+                    pins.push(p.label || sp.label || `Expander ${snapExp.index} pin ${i}`);
+                }
+            });
+        }
+        return { settings, pins };
+    }
+
+    /**
+     * After connecting, offer to re-apply the configuration captured before
+     * the last firmware update if the device no longer matches it.
+     */
+    async function offerSnapshotRestore() {
+        const snapshot = loadConfigSnapshot();
+        if (!snapshot || !deviceInfo) return;
+        if (snapshot.board && deviceInfo.board && snapshot.board !== deviceInfo.board) return;
+
+        const diff = diffConfigSnapshot(snapshot);
+        if (diff.settings.length === 0 && diff.pins.length === 0) {
+            log('Configuration matches the snapshot taken before the firmware update', 'success');
+            clearConfigSnapshot();
+            return;
+        }
+
+        const taken = new Date(snapshot.exported).toLocaleString();
+        const state = snapshot.source === 'flash'
+            ? 'saved configuration'
+            : 'live configuration, including edits that were not saved to flash';
+        log(`Configuration differs from pre-update snapshot (${diff.settings.length} setting(s), ${diff.pins.length} button(s))`, 'warning');
+        const restore = confirm(
+            `The device configuration changed since the snapshot taken before the firmware update (${taken}).\n` +
+            `The snapshot holds the device's ${state}.\n\n` +
+            (diff.settings.length ? `  Settings: ${diff.settings.join(', ')}\n` : '') +
+            (diff.pins.length ? `  Buttons:  ${diff.pins.slice(0, 8).join(', ')}${diff.pins.length > 8 ? ', ...' : ''}\n` : '') +
+            `\nRe-apply the snapshot?`
+        );
+        clearConfigSnapshot();
+        if (!restore) {
+            log('Pre-update snapshot discarded', 'info');
+            return;
+        }
+
+        try {
+            await applyProfileToDevice(snapshot);
+            log('Pre-update snapshot re-applied. Use Save to Flash to persist it.', 'success');
+        } catch (err) {
+            log(`Failed to re-apply snapshot: ${err.message}`, 'error');
+        }
+    }
+
     async function enterBootsel() {
         if (!confirm('Update firmware?\n\nThe device will disconnect and reboot into flash mode.\nYou can then flash a new firmware via the Firmware Update section below.')) {
             return;
         }
+        try {
+            log('Saving configuration snapshot...');
+            const snapshot = await captureConfigSnapshot();
+            const state = snapshot.source === 'flash' ? 'saved' : 'live';
+            log(`Snapshot of the ${state} configuration stored in this browser`, 'success');
+        } catch (err) {
+            log(`Could not save configuration snapshot: ${err.message}`, 'warning');
+        }
         try {
             log('Entering flash mode...');
             await picoctr.enterBootsel();
@@ -944,9 +3086,11 @@
         dom.fwDeviceName.textContent = '—';
         dom.fwFileInfo.style.display = 'none';
         dom.fwValidationWarning.style.display = 'none';
+        if (dom.fwProtectedWarning) dom.fwProtectedWarning.style.display = 'none';
         dom.btnFwBrowse.disabled = true;
         selectedUF2 = null;
         installedFwInfo = null;
+        updatePreserveOption();
 
         // Reset installed firmware info
         if (dom.fwInstalledInfo) dom.fwInstalledInfo.style.display = 'none';
@@ -956,6 +3100,11 @@
         if (dom.fwInstalledRowVersion) dom.fwInstalledRowVersion.style.display = 'none';
         if (dom.fwInstalledRowGit) dom.fwInstalledRowGit.style.display = 'none';
 
+        // Reset backup / restore actions
+        if (dom.fwBackupActions) dom.fwBackupActions.style.display = 'none';
+        if (dom.btnFwBackup) dom.btnFwBackup.disabled = true;
+        if (dom.fwBackupStatus) dom.fwBackupStatus.textContent = '';
+
         if (dom.fwReleaseLoading) dom.fwReleaseLoading.style.display = '';
         if (dom.fwReleaseError) dom.fwReleaseError.style.display = 'none';
         if (dom.fwReleaseContent) dom.fwReleaseContent.style.display = 'none';
@@ -1028,10 +3177,11 @@
             picoboot = new PicobootConnection();
 
             const device = await picoboot.connect();
-            const name = device.productName || 'RP2040';
+            const name = device.productName ? `${device.productName} (${picoboot.chip})` : picoboot.chip;
             dom.fwDeviceInfo.style.display = '';
             dom.fwDeviceName.textContent = name;
             dom.btnFwBrowse.disabled = false;
+            if (dom.fwBackupActions) dom.fwBackupActions.style.display = '';
             dom.btnFwConnect.style.display = 'none';
             _setConnectStatus('');
 
@@ -1081,6 +3231,7 @@
         try {
             const info = await picoboot.readInstalledFirmwareInfo();
             installedFwInfo = info;
+            updatePreserveOption();
             dom.fwInstalledLoading.style.display = 'none';
 
             if (info.variant) {
@@ -1112,10 +3263,93 @@
         } catch (err) {
             dom.fwInstalledLoading.style.display = 'none';
             log(`Could not read installed firmware: ${err.message}`, 'warning');
+        } finally {
+            // Backup reads flash too — only allow it once this read has finished
+            if (dom.btnFwBackup && picoboot) dom.btnFwBackup.disabled = false;
+        }
+    }
+
+    async function handleFwBackup() {
+        if (!picoboot || isFlashing || isBackingUp) return;
+
+        isBackingUp = true;
+        dom.btnFwBackup.disabled = true;
+        dom.btnFwFlash.disabled = true;
+        log('Backing up current firmware...');
+
+        try {
+            const data = await picoboot.backupFlash((current, total) => {
+                dom.fwBackupStatus.textContent = `Reading flash... ${Math.round((current / Math.max(total, 1)) * 100)}%`;
+            });
+            log(`Detected ${formatBytes(picoboot.flashSize)} of flash`, 'info');
+
+            const info = installedFwInfo || {};
+            const name = (info.variant || info.board || 'picoctr').replace(/\s+/g, '-').toLowerCase();
+            const version = info.version ? `-v${info.version}` : '';
+            const date = new Date().toISOString().slice(0, 10);
+            downloadBlob(new Blob([data], { type: 'application/octet-stream' }), `${name}${version}-backup-${date}.uf2`);
+
+            dom.fwBackupStatus.textContent = `Backup saved (${formatBytes(data.byteLength)})`;
+            log(`Firmware backup saved (${formatBytes(data.byteLength)} UF2). Use "Restore backup" to flash it back.`, 'success');
+        } catch (err) {
+            dom.fwBackupStatus.textContent = 'Backup failed';
+            log(`Backup failed: ${err.message}`, 'error');
+        } finally {
+            isBackingUp = false;
+            if (picoboot) dom.btnFwBackup.disabled = false;
+            dom.btnFwFlash.disabled = !selectedUF2;
+        }
+    }
+
+    /**
+     * Flash layout of the board in flash mode, from the `flash_layout` of
+     * its config.devices entry. Null when the installed firmware could not
+     * be identified or its entry has no layout: settings protection is then
+     * unavailable rather than guessed.
+     */
+    function getFlashLayout() {
+        if (!installedFwInfo || !config?.devices) return null;
+        const device = config.devices.find(d => d.target === installedFwInfo.variant) ||
+            config.devices.find(d => d.board === installedFwInfo.board);
+        const layout = device?.flash_layout;
+        return layout && Array.isArray(layout.protected_regions) ? layout : null;
+    }
+
+    /**
+     * Offer "Preserve saved settings" only when getFlashLayout() knows where
+     * they are; without a layout there is nothing to refuse or preserve.
+     */
+    function updatePreserveOption() {
+        if (dom.fwOptPreserveRow) dom.fwOptPreserveRow.hidden = !getFlashLayout();
+    }
+
+    /**
+     * Flash regions that hold on-device data (settings, pin maps), from
+     * getFlashLayout(), as absolute addresses for the flasher.
+     */
+    function getProtectedFlashRegions() {
+        const layout = getFlashLayout();
+        if (!layout) return [];
+        const base = parseHex(layout.flash_base || 0);
+        return layout.protected_regions.map(r => ({
+            name: r.name,
+            label: r.label || r.name,
+            addr: base + parseHex(r.offset),
+            length: r.size,
+        }));
+    }
+
+    /** Protected regions a UF2 image would erase (empty if none or unparsable) */
+    function findProtectedOverlaps(uf2Data) {
+        try {
+            const { blocks } = PicobootConnection.parseUF2(uf2Data);
+            return PicobootConnection.findProtectedOverlaps(blocks, getProtectedFlashRegions());
+        } catch {
+            return [];
         }
     }
 
-    function displayUF2Info(info, name) {
+    function displayUF2Info(info, name, data) {
         if (info.board) {
             dom.fwInfoBoard.textContent = info.board;
             dom.fwInfoRowBoard.style.display = '';
@@ -1151,6 +3385,35 @@
 
         dom.fwValidationWarning.style.display = 'none';
 
+        // Refuse images built for a different chip than the one in flash mode
+        if (picoboot && !PicobootConnection.isFamilyCompatible(info.family, picoboot.chip)) {
+            dom.fwValidationWarning.textContent =
+                `🚫 This firmware is built for ${info.familyId}, but the connected device is an ${picoboot.chip}.`;
+            dom.fwValidationWarning.style.display = '';
+            log(`Chip mismatch: firmware="${info.familyId}", device="${picoboot.chip}"`, 'error');
+            return null;
+        }
+
+        // Warn if the image reaches into the settings storage
+        const overlaps = data ? findProtectedOverlaps(data) : [];
+        if (!getFlashLayout()) {
+            dom.fwProtectedWarning.textContent =
+                `⚠️ Where this board stores its saved settings is not known, so they cannot be preserved. ` +
+                `Flashing may erase them.`;
+            dom.fwProtectedWarning.style.display = '';
+            log('No flash layout known for this board: saved settings cannot be protected', 'warning');
+        } else if (overlaps.length > 0) {
+            const names = overlaps.map(r => r.label).join(', ');
+            dom.fwProtectedWarning.textContent =
+                `⚠️ This firmware file overlaps the flash area that stores ${names}. ` +
+                `With "Preserve saved settings" enabled they are read before flashing and written back afterwards; ` +
+                `otherwise they will be erased.`;
+            dom.fwProtectedWarning.style.display = '';
+            log(`Firmware image overlaps protected flash: ${names}`, 'warning');
+        } else {
+            dom.fwProtectedWarning.style.display = 'none';
+        }
+
         // Warn if firmware variant doesn't match the installed firmware
         const currentVariant = installedFwInfo?.variant || deviceInfo?.variant;
         if (info.variant && currentVariant && info.variant !== currentVariant) {
@@ -1189,7 +3452,7 @@
             try {
                 const data = reader.result;
                 const info = PicobootConnection.getUF2Info(data);
-                const summary = displayUF2Info(info, file.name);
+                const summary = displayUF2Info(info, file.name, data);
                 if (!summary) {
                     selectedUF2 = null;
                     return;
@@ -1210,6 +3473,43 @@
         reader.readAsArrayBuffer(file);
     }
 
+    /**
+     * Restore a backup made with handleFwBackup(). Backups hold the whole
+     * flash, saved settings and pin maps included, so they are written back
+     * in overwrite mode once the user agrees to replace the current ones.
+     */
+    async function handleFwRestoreSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file || !picoboot || isFlashing || isBackingUp) return;
+
+        let image;
+        try {
+            const data = await file.arrayBuffer();
+            const info = PicobootConnection.getUF2Info(data);
+            if (!PicobootConnection.isFamilyCompatible(info.family, picoboot.chip)) {
+                throw new Error(`built for ${info.familyId}, but the connected device is an ${picoboot.chip}`);
+            }
+            image = { data, info, name: file.name };
+        } catch (err) {
+            log(`Cannot restore "${file.name}": ${err.message}`, 'error');
+            return;
+        }
+
+        if (!confirm(`Restore backup "${file.name}"?\n\n` +
+            `This erases the whole device flash and writes the backup back. ` +
+            `Anything saved on the device since the backup, including settings and pin maps, is lost. ` +
+            `Do not disconnect the device during this process.`)) {
+            log('Restore cancelled', 'warning');
+            return;
+        }
+
+        dom.fwStepFlash.classList.remove('fw-step-hidden');
+        if (await flashImage(image, 'overwrite', true)) {
+            log('Backup restored: flash was erased in full and rewritten from the backup', 'info');
+        }
+    }
+
     // ====================================================
     // Firmware List
     // ====================================================
@@ -1293,7 +3593,7 @@
             itemEl.classList.remove('downloading');
 
             const info = PicobootConnection.getUF2Info(data);
-            const summary = displayUF2Info(info, asset.name);
+            const summary = displayUF2Info(info, asset.name, data);
             if (!summary) {
                 selectedUF2 = null;
                 return;
@@ -1318,27 +3618,65 @@
     }
 
     async function handleFwFlash() {
-        if (!picoboot || !selectedUF2 || isFlashing) return;
+        if (!picoboot || !selectedUF2 || isFlashing || isBackingUp) return;
         if (!confirm(`Flash firmware "${selectedUF2.name}"?\n\nThis will erase and reprogram the device flash. Do not disconnect the device during this process.`)) {
             return;
         }
 
+        // Settings storage: snapshot and restore it, or let the image erase it after confirmation
+        const preserve = dom.fwOptPreserve ? dom.fwOptPreserve.checked : true;
+        let protectMode = preserve ? 'preserve' : 'refuse';
+        const overlaps = findProtectedOverlaps(selectedUF2.data);
+        if (!getFlashLayout()) {
+            if (!confirm(`Where this board stores its saved settings is not known, so they cannot be preserved and may be erased.\n\nFlash anyway?`)) {
+                log('Flash cancelled (saved settings cannot be protected)', 'warning');
+                return;
+            }
+            protectMode = 'overwrite';
+        } else if (!preserve && overlaps.length > 0) {
+            const names = overlaps.map(r => r.label).join(', ');
+            if (!confirm(`This firmware file will erase the device's saved ${names}.\n\nFlash anyway and lose them?`)) {
+                log('Flash cancelled (would erase saved settings)', 'warning');
+                return;
+            }
+            protectMode = 'overwrite';
+        }
+
+        await flashImage(selectedUF2, protectMode);
+    }
+
+    /**
+     * Flash a UF2 image with the progress UI. protectMode and eraseAll are
+     * passed to flashUF2(). Resolves true once the device is rebooting.
+     */
+    async function flashImage(image, protectMode, eraseAll = false) {
         isFlashing = true;
         dom.btnFwFlash.disabled = true;
         dom.btnFwConnect.disabled = true;
         dom.btnFwBrowse.disabled = true;
+        if (dom.btnFwBackup) dom.btnFwBackup.disabled = true;
+        if (dom.btnFwRestore) dom.btnFwRestore.disabled = true;
+        [dom.fwOptVerify, dom.fwOptDifferential, dom.fwOptPreserve].forEach(el => { if (el) el.disabled = true; });
         if (dom.fwReleaseList) dom.fwReleaseList.querySelectorAll('.fw-release-item').forEach(el => el.disabled = true);
         dom.fwProgressContainer.style.display = '';
         dom.fwProgressFill.className = 'fw-progress-fill';
-        log(`Flashing ${selectedUF2.name}...`);
+        log(`Flashing ${image.name}...`);
+
+        const verify = dom.fwOptVerify ? dom.fwOptVerify.checked : false;
+        const differential = !eraseAll && dom.fwOptDifferential ? dom.fwOptDifferential.checked : false;
+        // Leave room in the progress bar for the compare and read-back passes
+        const eraseStart = differential ? 12 : 2;
+        const writeEnd = verify ? 70 : 95;
 
         try {
-            await picoboot.flashUF2(selectedUF2.data, (phase, current, total, message) => {
+            const report = await picoboot.flashUF2(image.data, (phase, current, total, message) => {
                 let pct = 0;
                 switch (phase) {
                     case 'parse': pct = 2; break;
-                    case 'erase': pct = 2 + (current / Math.max(total, 1)) * 28; break;
-                    case 'write': pct = 30 + (current / Math.max(total, 1)) * 65; break;
+                    case 'compare': pct = 2 + (current / Math.max(total, 1)) * 10; break;
+                    case 'erase': pct = eraseStart + (current / Math.max(total, 1)) * (30 - eraseStart); break;
+                    case 'write': pct = 30 + (current / Math.max(total, 1)) * (writeEnd - 30); break;
+                    case 'verify': pct = 70 + (current / Math.max(total, 1)) * 25; break;
                     case 'reboot': pct = 95; break;
                     case 'done': pct = 100; break;
                     case 'error': pct = 100; break;
@@ -1359,17 +3697,29 @@
                 } else if (phase === 'error') {
                     dom.fwProgressFill.classList.add('error');
                     log(`Flash error: ${message}`, 'error');
-                } else if (phase === 'erase' || phase === 'write') {
-                    if (current === 0) log(message, 'info');
+                } else if (phase === 'compare' || phase === 'erase' || phase === 'write' || phase === 'verify') {
+                    if (phase === 'verify' && message.startsWith('Mismatch')) log(message, 'warning');
+                    else if (current === 0) log(message, 'info');
                 }
-            });
+            }, { verify, differential, eraseAll, protectedRegions: getProtectedFlashRegions(), protectMode });
+            if (report.preservedRegions.length > 0) {
+                log(`Preserved on-device data: ${report.preservedRegions.join(', ')}`, 'info');
+            }
+            if (differential) {
+                log(`Differential flash: skipped ${report.skippedSectors} of ${report.totalSectors} unchanged sectors`, 'info');
+            }
+            return true;
         } catch (err) {
             log(`Flash failed: ${err.message}`, 'error');
             dom.fwProgressFill.classList.add('error');
             dom.fwProgressText.textContent = `Failed: ${err.message}`;
+            return false;
         } finally {
             isFlashing = false;
             dom.btnFwConnect.disabled = false;
+            if (dom.btnFwRestore) dom.btnFwRestore.disabled = false;
+            if (dom.btnFwBackup && picoboot) dom.btnFwBackup.disabled = false;
+            [dom.fwOptVerify, dom.fwOptDifferential, dom.fwOptPreserve].forEach(el => { if (el) el.disabled = false; });
         }
     }
 
@@ -1385,6 +3735,7 @@
                 dom.colorB.value = b;
                 dom.colorHexDisplay.textContent = color.hexString;
                 checkUnsavedChanges();
+                scheduleHistoryRecord();
 
                 if (!liveColorTimer && picoctr && picoctr.connected) {
                     liveColorTimer = setTimeout(async () => {
@@ -1417,23 +3768,17 @@
                 if (colorPicker) colorPicker.color.rgb = { r, g, b };
                 dom.colorHexDisplay.textContent = rgbToHex(r, g, b);
                 checkUnsavedChanges();
+                scheduleHistoryRecord();
             });
         });
 
-        dom.brightness.addEventListener('input', () => {
-            dom.brightnessValue.textContent = dom.brightness.value;
-            checkUnsavedChanges();
-        });
-
-        dom.animation.addEventListener('change', () => {
-            updateColorGroupVisibility();
-            checkUnsavedChanges();
-        });
+        // Generated settings inputs report through onSettingInput
 
-        [dom.enableRgb, dom.ledCount].forEach(el => {
-            el.addEventListener('change', () => checkUnsavedChanges());
-            el.addEventListener('input', () => checkUnsavedChanges());
-        });
+        dom.btnCustomAddStop.addEventListener('click', addCustomStop);
+        [dom.customPeriod, dom.customDirection, dom.customEasing].forEach(el =>
+            el.addEventListener('change', onCustomTimingChange)
+        );
+        dom.btnCustomUpload.addEventListener('click', uploadCustomAnimation);
     }
 
     // ========================================================================
@@ -1456,8 +3801,20 @@
 
         picoctr = new PicoCTRDevice(config);
 
-        populateAnimationSelect();
-        updateColorGroupVisibility();
+        try {
+            panelLayouts = await PicoCTRPanelView.load();
+        } catch (err) {
+            log(`Failed to load panel layouts, using generated ones: ${err.message}`, 'warning');
+        }
+
+        settingsForm = new PicoCTRSettingsForm(config, {
+            container: dom.settingsFields,
+            groupContainer: dom.settingsGroups,
+            // The solid color is edited with the color picker rather than three inputs
+            widgets: { rgb_color: dom.colorGroup },
+            onInput: onSettingInput,
+        });
+        settingsForm.render();
 
         colorPicker = new iro.ColorPicker('#iro-picker', {
             width: 220,
@@ -1471,6 +3828,21 @@
             ]
         });
 
+        // Until a device is read, show the firmware defaults
+        updateUIFromSettings(PicoCTRSettingsForm.defaults(PicoCTRProfile.settingsFields(config)));
+        updateAnimationGroups();
+
+        populateCustomAnimationSelects();
+        renderCustomAnimationEditor();
+
+        ledPreview = new PicoCTRLedPreview(dom.ledPreview, {
+            getSettings: getSettingsFromUI,
+            getAnimations: animationOptions,
+            getCustomAnimation: () => customAnimation,
+            note: dom.ledPreviewNote,
+        });
+        ledPreview.start();
+
         setupSettingsListeners();
 
         // Button handlers
@@ -1491,7 +3863,10 @@
             await readPinMappings();
         });
         dom.btnReset.addEventListener('click', resetSettings);
-        dom.btnUndo.addEventListener('click', undoChanges);
+        dom.btnDiscard.addEventListener('click', discardChanges);
+        dom.btnHistoryUndo.addEventListener('click', () => stepHistory(-1));
+        dom.btnHistoryRedo.addEventListener('click', () => stepHistory(1));
+        document.addEventListener('keydown', handleHistoryKeydown);
         dom.btnBootsel.addEventListener('click', enterBootsel);
         dom.btnClearLog.addEventListener('click', () => {
             dom.logOutput.innerHTML = '';
@@ -1502,18 +3877,97 @@
         dom.btnMappingExport.addEventListener('click', exportMapping);
         dom.btnMappingImport.addEventListener('click', () => dom.mappingFileInput.click());
         dom.mappingFileInput.addEventListener('change', handleMappingImport);
+        dom.btnMappingShare.addEventListener('click', copyShareLink);
+        dom.btnMappingPrint.addEventListener('click', printReferenceCard);
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-card'));
+        dom.btnInputTest.addEventListener('click', toggleInputTest);
+        dom.btnIdentify.addEventListener('click', toggleIdentify);
+
+        // Bulk mapping edits
+        dom.pinSelectAll.addEventListener('change', () => selectAllPins(dom.pinSelectAll.checked));
+        dom.btnBulkClear.addEventListener('click', () => selectAllPins(false));
+        dom.bulkType.addEventListener('change', bulkSetType);
+        dom.bulkTarget.addEventListener('change', bulkSetTarget);
+        dom.btnBulkLed.addEventListener('click', bulkSetLedColor);
+        dom.btnBulkCopy.addEventListener('click', bulkCopyPlayer);
+        dom.btnBulkSwap.addEventListener('click', bulkSwapPlayers);
+        dom.btnBulkShift.addEventListener('click', bulkShiftTargets);
+
+        // Mapping presets
+        dom.btnMappingPresets.addEventListener('click', openPresetDialog);
+        dom.presetSelect.addEventListener('change', renderPresetPreview);
+        dom.presetCancel.addEventListener('click', () => dom.presetDialog.close());
+        dom.presetLoad.addEventListener('click', loadSelectedPreset);
+
+        // Key picker
+        dom.keyPickerSearch.addEventListener('input', renderKeyPickerList);
+        dom.btnKeyCapture.addEventListener('click', () => setKeyCapture(!keyCaptureActive));
+        dom.keyPickerDialog.addEventListener('keydown', handleKeyPickerKeydown, true);
+        dom.keyPickerDialog.addEventListener('close', () => setKeyCapture(false));
+        dom.keyPickerCancel.addEventListener('click', () => dom.keyPickerDialog.close());
+
+        // Control panel view
+        panelView = new PicoCTRPanelView(dom.pinPanelView, {
+            onSelect: openPanelEditor,
+            describe: describePinOutput,
+            color: pin => (pin.led ? rgbToHex(pin.led.r, pin.led.g, pin.led.b) : null),
+        });
+        dom.btnViewTable.addEventListener('click', () => setMappingView('table'));
+        dom.btnViewPanel.addEventListener('click', () => setMappingView('panel'));
+        document.addEventListener('click', (e) => {
+            // Ignore clicks on elements a re-render already replaced
+            if (!e.target.isConnected) return;
+            if (panelEditorPin && !dom.panelEditor.contains(e.target) && !e.target.closest('.panel-control')) {
+                closePanelEditor();
+            }
+        });
+        setMappingView(localStorage.getItem(MAPPING_VIEW_STORAGE_KEY) === 'panel' ? 'panel' : 'table');
+
+        // Profile library handlers
+        if (PicoCTRProfileLibrary.isSupported()) {
+            profileLibrary = new PicoCTRProfileLibrary();
+        }
+        dom.btnProfileSave.addEventListener('click', handleProfileSave);
+        dom.profileNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') handleProfileSave();
+        });
+        dom.profileShowAll.addEventListener('change', refreshProfileList);
+
+        // Compare handlers
+        dom.diffAccordion.addEventListener('toggle', () => {
+            if (dom.diffAccordion.open && !diffState?.ram) readDiffDeviceState();
+        });
+        dom.btnDiffRefresh.addEventListener('click', readDiffDeviceState);
+        dom.btnDiffLoad.addEventListener('click', () => dom.diffFileInput.click());
+        dom.diffFileInput.addEventListener('change', handleDiffProfileLoad);
+        dom.diffOnlyChanges.addEventListener('change', renderDiffTable);
+        dom.diffApplySource.addEventListener('change', renderDiffTable);
+        dom.diffSelectAll.addEventListener('change', () => {
+            dom.diffBody.querySelectorAll('.diff-select:not(:disabled)').forEach(cb => {
+                cb.checked = dom.diffSelectAll.checked;
+            });
+            updateDiffApplyButton();
+        });
+        dom.btnDiffApply.addEventListener('click', applyDiffSelection);
 
         // Firmware update handlers
         dom.btnFwConnect.addEventListener('click', handleFwConnect);
         dom.btnFwBrowse.addEventListener('click', () => dom.fwFileInput.click());
         dom.fwFileInput.addEventListener('change', handleFwFileSelect);
         dom.btnFwFlash.addEventListener('click', handleFwFlash);
+        dom.btnFwBackup.addEventListener('click', handleFwBackup);
+        dom.btnFwRestore.addEventListener('click', () => dom.fwBackupInput.click());
+        dom.fwBackupInput.addEventListener('change', handleFwRestoreSelect);
         dom.btnBootstrap.addEventListener('click', handleBootstrap);
         dom.btnFwReturn.addEventListener('click', returnToConfigMode);
 
         setConnected(false);
         log('WebUSB supported. Ready to connect.');
 
+        // Profiles opened from a share link
+        window.addEventListener('hashchange', loadSharedProfileFromUrl);
+        await loadSharedProfileFromUrl();
+
         if (PicobootConnection.isSupported()) {
             log('Firmware flashing available via WebUSB.');
             if (navigator.userAgent.includes('Windows')) {
@@ -0,0 +1,79 @@
+/**
+ * PicoCTR Button Label Parser
+ *
+ * Pin labels come from the board definition in firmware ("P1 UP", "P2 B3",
+ * "1P START", "COIN2", ...). This turns a label into a structured description
+ * so other views can group buttons by player and role.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRButtonLabels {
+    static DIRECTIONS = ['UP', 'DOWN', 'LEFT', 'RIGHT'];
+    static DIRECTION_ARROWS = { UP: '↑', DOWN: '↓', LEFT: '←', RIGHT: '→' };
+
+    /**
+     * Parse a pin label.
+     * @param {string} label
+     * @returns {{ player: number|null, kind: 'direction'|'button'|'start'|'coin'|'other',
+     *             direction: string|null, number: number|null, text: string }}
+     *   player is 1-based; direction is one of DIRECTIONS; text is a short
+     *   caption suitable for drawing inside a button.
+     */
+    static parse(label) {
+        const result = { player: null, kind: 'other', direction: null, number: null, text: '' };
+        const tokens = (label || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+        const rest = [];
+
+        for (const token of tokens) {
+            let m;
+            if ((m = token.match(/^(?:P|PLAYER)(\d)$/)) || (m = token.match(/^(\d)P$/))) {
+                result.player = Number(m[1]);
+            } else if ((m = token.match(/^P(\d)([A-Z].*)$/))) {
+                // Run-together form like "P1START"
+                result.player = Number(m[1]);
+                rest.push(m[2]);
+            } else if ((m = token.match(/^(COIN|CREDIT|SELECT|START)(\d)$/))) {
+                result.player = Number(m[2]);
+                rest.push(m[1]);
+            } else {
+                rest.push(token);
+            }
+        }
+
+        for (let i = 0; i < rest.length; i++) {
+            const token = rest[i];
+            let m;
+            if (PicoCTRButtonLabels.DIRECTIONS.includes(token)) {
+                result.kind = 'direction';
+                result.direction = token;
+                result.text = PicoCTRButtonLabels.DIRECTION_ARROWS[token];
+                return result;
+            }
+            if (token === 'START') {
+                result.kind = 'start';
+                result.text = 'START';
+                return result;
+            }
+            if (token === 'COIN' || token === 'CREDIT' || token === 'SELECT') {
+                result.kind = 'coin';
+                result.text = token;
+                return result;
+            }
+            if ((m = token.match(/^(?:B|BTN|BUTTON|K|SW)?(\d+)$/))) {
+                result.kind = 'button';
+                result.number = Number(m[1]);
+                result.text = m[1];
+                return result;
+            }
+            if ((token === 'B' || token === 'BTN' || token === 'BUTTON') && /^\d+$/.test(rest[i + 1] || '')) {
+                result.kind = 'button';
+                result.number = Number(rest[i + 1]);
+                result.text = rest[i + 1];
+                return result;
+            }
+        }
+
+        result.text = rest.join(' ') || (label || '').trim();
+        return result;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * PicoCTR Custom Animation
+ *
+ * A user-defined strip animation: color stops placed along the strip that
+ * scroll at a set speed, with a direction and an easing between stops.
+ * Firmware that supports it plays whatever was last uploaded when
+ * rgb_animation is set to the value get_custom_animation reports.
+ *
+ * Animations are { period_ms, direction, easing, stops: [{ pos, r, g, b }] }
+ * with pos 0-255 across the strip (wrapping from the last stop back to the
+ * first). On the wire they are packed as bytes:
+ *
+ *   [version][period_ms lo][period_ms hi][direction][easing][stop count]
+ *   then per stop: [pos][r][g][b]
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRCustomAnimation {
+    static FORMAT_VERSION = 1;
+    static MAX_STOPS = 16;
+    static MIN_PERIOD_MS = 250;
+    static MAX_PERIOD_MS = 60000;
+    static DIRECTIONS = ['forward', 'reverse', 'bounce'];
+    static EASINGS = ['linear', 'smooth', 'step'];
+
+    /** Starting point for the editor: a red, green, blue loop */
+    static defaults() {
+        return {
+            period_ms: 4000,
+            direction: 'forward',
+            easing: 'linear',
+            stops: [
+                { pos: 0, r: 255, g: 0, b: 0 },
+                { pos: 85, r: 0, g: 255, b: 0 },
+                { pos: 170, r: 0, g: 0, b: 255 },
+            ],
+        };
+    }
+
+    // ========================================================================
+    // Serialization
+    // ========================================================================
+
+    /** Pack an animation into its wire bytes (values are clamped to range) */
+    static encode(anim) {
+        const CA = PicoCTRCustomAnimation;
+        const stops = CA.sortedStops(anim).slice(0, CA.MAX_STOPS);
+        const period = CA._clamp(Math.round(anim.period_ms), CA.MIN_PERIOD_MS, CA.MAX_PERIOD_MS);
+        const bytes = new Uint8Array(6 + stops.length * 4);
+        bytes.set([
+            CA.FORMAT_VERSION,
+            period & 0xFF,
+            (period >> 8) & 0xFF,
+            Math.max(0, CA.DIRECTIONS.indexOf(anim.direction)),
+            Math.max(0, CA.EASINGS.indexOf(anim.easing)),
+            stops.length,
+        ]);
+        stops.forEach((s, i) => {
+            bytes.set([s.pos, s.r, s.g, s.b].map(v => CA._clamp(Math.round(v), 0, 255)), 6 + i * 4);
+        });
+        return bytes;
+    }
+
+    /** Unpack wire bytes; throws if they are not a valid animation */
+    static decode(bytes) {
+        const CA = PicoCTRCustomAnimation;
+        if (bytes.length < 6) throw new Error('Custom animation is truncated');
+        if (bytes[0] !== CA.FORMAT_VERSION) throw new Error(`Unsupported custom animation version ${bytes[0]}`);
+        const count = bytes[5];
+        if (count < 1 || count > CA.MAX_STOPS || bytes.length < 6 + count * 4) {
+            throw new Error(`Custom animation has a bad stop count (${count})`);
+        }
+        const direction = CA.DIRECTIONS[bytes[3]];
+        const easing = CA.EASINGS[bytes[4]];
+        if (!direction || !easing) throw new Error('Custom animation has an unknown direction or easing');
+
+        const stops = [];
+        for (let i = 0; i < count; i++) {
+            const [pos, r, g, b] = bytes.subarray(6 + i * 4, 10 + i * 4);
+            stops.push({ pos, r, g, b });
+        }
+        return { period_ms: bytes[1] | (bytes[2] << 8), direction, easing, stops };
+    }
+
+    // ========================================================================
+    // Rendering
+    // ========================================================================
+
+    static sortedStops(anim) {
+        return [...anim.stops].sort((a, b) => a.pos - b.pos);
+    }
+
+    /**
+     * Color at position x (0..1) along the pattern.
+     * @returns {number[]} [r, g, b]
+     */
+    static colorAt(anim, x) {
+        const stops = PicoCTRCustomAnimation.sortedStops(anim);
+        if (stops.length === 0) return [0, 0, 0];
+        if (stops.length === 1) return [stops[0].r, stops[0].g, stops[0].b];
+
+        // Find the stop at or before x, wrapping around the end of the strip
+        const p = x * 256;
+        let i = stops.length - 1;
+        while (i >= 0 && stops[i].pos > p) i--;
+        const from = i >= 0 ? stops[i] : stops[stops.length - 1];
+        const to = stops[(i + 1) % stops.length];
+
+        let span = to.pos - from.pos;
+        if (span <= 0) span += 256;
+        let along = p - from.pos;
+        if (along < 0) along += 256;
+        const f = PicoCTRCustomAnimation._ease(anim.easing, along / span);
+        return [
+            Math.round(from.r + (to.r - from.r) * f),
+            Math.round(from.g + (to.g - from.g) * f),
+            Math.round(from.b + (to.b - from.b) * f),
+        ];
+    }
+
+    /**
+     * Colors of `count` LEDs at time `t` (ms), before brightness.
+     * @returns {Array<number[]>}
+     */
+    static frame(anim, count, t) {
+        const period = anim.period_ms || 4000;
+        let phase = (t % period) / period;
+        if (anim.direction === 'reverse') {
+            phase = 1 - phase;
+        } else if (anim.direction === 'bounce') {
+            // Out and back within one period
+            phase = phase < 0.5 ? phase * 2 : (1 - phase) * 2;
+        }
+        return Array.from({ length: count }, (_, i) =>
+            PicoCTRCustomAnimation.colorAt(anim, (i / count + phase) % 1)
+        );
+    }
+
+    static _ease(easing, f) {
+        switch (easing) {
+            case 'step': return 0;
+            case 'smooth': return f * f * (3 - 2 * f);
+            default: return f;
+        }
+    }
+
+    static _clamp(v, min, max) {
+        return Math.min(max, Math.max(min, v || 0));
+    }
+}
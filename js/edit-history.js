@@ -0,0 +1,72 @@
+/**
+ * PicoCTR Edit History
+ *
+ * Undo/redo stack of configuration states. The app records a snapshot of its
+ * settings and pin mapping after each edit; undo and redo step between them.
+ * Snapshots are compared by value, so recording the state that is already
+ * current (for example after an undo re-renders the UI) is a no-op.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTREditHistory {
+    static LIMIT = 100;
+
+    constructor(limit = PicoCTREditHistory.LIMIT) {
+        this.limit = limit;
+        this.clear();
+    }
+
+    get canUndo() {
+        return this._index > 0;
+    }
+
+    get canRedo() {
+        return this._index < this._states.length - 1;
+    }
+
+    /** The state undo/redo last stepped to (or the last recorded one) */
+    get current() {
+        return this._index >= 0 ? JSON.parse(this._states[this._index]) : null;
+    }
+
+    clear() {
+        this._states = [];      // JSON strings
+        this._index = -1;
+    }
+
+    /** Start over from a known state (e.g. after connecting) */
+    reset(state) {
+        this._states = [JSON.stringify(state)];
+        this._index = 0;
+    }
+
+    /**
+     * Record a new state after an edit. Drops any redo states.
+     * @returns {boolean} false if the state matches the current one
+     */
+    record(state) {
+        if (this._index < 0) return false;
+        const json = JSON.stringify(state);
+        if (json === this._states[this._index]) return false;
+
+        this._states.splice(this._index + 1);
+        this._states.push(json);
+        if (this._states.length > this.limit) this._states.shift();
+        this._index = this._states.length - 1;
+        return true;
+    }
+
+    /** Step back; returns the state to restore, or null */
+    undo() {
+        if (!this.canUndo) return null;
+        this._index--;
+        return this.current;
+    }
+
+    /** Step forward; returns the state to restore, or null */
+    redo() {
+        if (!this.canRedo) return null;
+        this._index++;
+        return this.current;
+    }
+}
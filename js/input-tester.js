@@ -0,0 +1,233 @@
+/**
+ * PicoCTR Live Input Tester
+ *
+ * Reports which expander pins are currently pressed so the mapping table can
+ * light up rows as buttons are pushed. Two sources are supported:
+ *
+ *   - device: polls the vendor `get_pin_states` command, which returns the raw
+ *     expander pin states as one bitmask per expander ({ states: [u16, ...] },
+ *     bit n set = pin n pressed). Works for every wired pin, mapped or not.
+ *   - host:   on firmware without `get_pin_states`, watches the device's own
+ *     output (Gamepad API, keyboard and mouse events) and resolves it back to
+ *     pins through the current mapping. Only mapped pins can be detected.
+ *
+ * Pins are identified by "expander:pin" keys.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRInputTester {
+    static POLL_INTERVAL = 50;
+
+    // Browser MouseEvent.button -> firmware mouse button index (LEFT, RIGHT, MIDDLE, BACK, FORWARD)
+    static MOUSE_BUTTON_MAP = { 0: 0, 2: 1, 1: 2, 3: 3, 4: 4 };
+
+    // Gamepad API standard-mapping button -> firmware gamepad button index
+    // (SOUTH, EAST, C, NORTH, WEST, Z, TL, TR, TL2, TR2, SELECT, START, MODE,
+    // THUMBL, THUMBR). Buttons 12-15 are the d-pad; C and Z have no standard
+    // button.
+    static STANDARD_BUTTON_MAP = {
+        0: 0, 1: 1, 2: 4, 3: 3, 4: 6, 5: 7, 6: 8, 7: 9,
+        8: 10, 9: 11, 10: 13, 11: 14, 16: 12,
+    };
+
+    /**
+     * @param {PicoCTRDevice} device
+     * @param {object} opts
+     * @param {function(Set<string>)} opts.onChange - called with the pressed pin keys whenever they change
+     * @param {function(): Array} opts.getExpanders - current expander data ({ index, active, pins })
+     * @param {function(KeyboardEvent): number} [opts.keyUsage] - HID usage for a keyboard event (0 if unknown)
+     */
+    constructor(device, { onChange, getExpanders, keyUsage }) {
+        this.device = device;
+        this.onChange = onChange;
+        this.getExpanders = getExpanders;
+        this.keyUsage = keyUsage || (() => 0);
+        this.mode = null;
+        this.pressed = new Set();
+
+        this._timer = null;
+        this._keys = new Set();         // HID usages held down
+        this._mouse = new Set();        // firmware mouse button indexes held down
+        this._listeners = [];
+    }
+
+    get running() {
+        return this.mode !== null;
+    }
+
+    /**
+     * Start reporting. Prefers the device source and falls back to host events.
+     * @returns {Promise<'device'|'host'>} the source in use
+     */
+    async start() {
+        if (this.running) return this.mode;
+
+        try {
+            await this.device.getPinStates();
+            this.mode = 'device';
+        } catch {
+            this.mode = 'host';
+            this._attachHostListeners();
+        }
+        this._schedule();
+        return this.mode;
+    }
+
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        for (const [target, type, fn] of this._listeners) {
+            target.removeEventListener(type, fn);
+        }
+        this._listeners = [];
+        this._keys.clear();
+        this._mouse.clear();
+        this.mode = null;
+        this._update(new Set());
+    }
+
+    // ========================================================================
+    // Polling
+    // ========================================================================
+
+    _schedule() {
+        this._timer = setTimeout(() => this._poll(), PicoCTRInputTester.POLL_INTERVAL);
+    }
+
+    async _poll() {
+        if (!this.running) return;
+
+        try {
+            const pressed = this.mode === 'device'
+                ? await this._readDevicePins()
+                : this._readHostPins();
+            if (this.running) this._update(pressed);
+        } catch (err) {
+            if (!this.device.connected) {
+                this.stop();
+                return;
+            }
+            // Transient read errors are ignored; the next poll retries
+        }
+        if (this.running) this._schedule();
+    }
+
+    _update(pressed) {
+        const same = pressed.size === this.pressed.size && [...pressed].every(k => this.pressed.has(k));
+        if (same) return;
+        this.pressed = pressed;
+        this.onChange(pressed);
+    }
+
+    async _readDevicePins() {
+        const { states = [] } = await this.device.getPinStates();
+        const pressed = new Set();
+        states.forEach((mask, exp) => {
+            for (let pin = 0; mask >> pin; pin++) {
+                if (mask & (1 << pin)) pressed.add(`${exp}:${pin}`);
+            }
+        });
+        return pressed;
+    }
+
+    // ========================================================================
+    // Host-side fallback
+    // ========================================================================
+
+    _attachHostListeners() {
+        const listen = (target, type, fn) => {
+            target.addEventListener(type, fn);
+            this._listeners.push([target, type, fn]);
+        };
+
+        listen(window, 'keydown', (e) => {
+            const usage = this.keyUsage(e);
+            if (!usage) return;
+            // Keep cabinet key presses from scrolling or activating controls
+            e.preventDefault();
+            this._keys.add(usage);
+        });
+        listen(window, 'keyup', (e) => this._keys.delete(this.keyUsage(e)));
+        listen(window, 'blur', () => {
+            this._keys.clear();
+            this._mouse.clear();
+        });
+        listen(window, 'mousedown', (e) => {
+            const idx = PicoCTRInputTester.MOUSE_BUTTON_MAP[e.button];
+            if (idx !== undefined) this._mouse.add(idx);
+        });
+        listen(window, 'mouseup', (e) => this._mouse.delete(PicoCTRInputTester.MOUSE_BUTTON_MAP[e.button]));
+    }
+
+    /** Resolve the device's current host-visible output back to mapped pins */
+    _readHostPins() {
+        const gamepads = this._readGamepads();
+        const pressed = new Set();
+
+        for (const exp of this.getExpanders() || []) {
+            if (!exp.active) continue;
+            exp.pins.forEach((pin, pinIdx) => {
+                let active = false;
+                switch (pin.output_type) {
+                    case 1: // Gamepad button
+                        active = !!gamepads[pin.output_target]?.buttons.has(pin.output_code);
+                        break;
+                    case 2: // D-pad
+                        active = !!gamepads[pin.output_target]?.dpad.has(pin.output_code);
+                        break;
+                    case 3: // Keyboard
+                        active = this._keys.has(pin.output_code);
+                        break;
+                    case 4: // Mouse
+                        active = this._mouse.has(pin.output_code);
+                        break;
+                }
+                if (active) pressed.add(`${exp.index}:${pinIdx}`);
+            });
+        }
+        return pressed;
+    }
+
+    /**
+     * Pressed buttons (firmware gamepad button indexes) and d-pad directions
+     * (0 up, 1 down, 2 left, 3 right) for each of this device's gamepads, in
+     * player order.
+     */
+    _readGamepads() {
+        if (!navigator.getGamepads) return [];
+
+        const vid = this.device.device?.vendorId?.toString(16).padStart(4, '0');
+        const pads = [...navigator.getGamepads()]
+            .filter(gp => gp && (!vid || gp.id.toLowerCase().includes(vid)))
+            .sort((a, b) => a.index - b.index);
+
+        return pads.map(gp => {
+            const buttons = new Set();
+            const dpad = new Set();
+            const standard = gp.mapping === 'standard';
+
+            gp.buttons.forEach((btn, i) => {
+                if (!btn.pressed) return;
+                // Standard mapping reports the hat as buttons 12-15 and
+                // orders the rest differently from the firmware
+                if (!standard) {
+                    buttons.add(i);
+                } else if (i >= 12 && i <= 15) {
+                    dpad.add(i - 12);
+                } else if (PicoCTRInputTester.STANDARD_BUTTON_MAP[i] !== undefined) {
+                    buttons.add(PicoCTRInputTester.STANDARD_BUTTON_MAP[i]);
+                }
+            });
+
+            // Generic HID gamepads report the hat switch as an axis in
+            // steps of 2/7 from -1 (up), clockwise; neutral is out of range.
+            if (!standard && gp.axes.length > 9) {
+                const step = Math.round((gp.axes[9] + 1) * 3.5);
+                const dirs = [[0], [0, 3], [3], [1, 3], [1], [1, 2], [2], [0, 2]][step];
+                if (dirs) dirs.forEach(d => dpad.add(d));
+            }
+
+            return { buttons, dpad };
+        });
+    }
+}
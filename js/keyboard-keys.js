@@ -0,0 +1,240 @@
+/**
+ * PicoCTR Keyboard Keys
+ *
+ * Every usage on the HID keyboard page (0x07) that a keyboard output can
+ * send, with its browser KeyboardEvent.code (web_code) where one exists. The
+ * key picker, key capture and presets read the list through keys(), which
+ * prefers pin_mapping.keyboard_keys from picoctr-config.json once the
+ * generator emits it and falls back to this table until then.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRKeyboardKeys {
+    static TABLE = [
+        { code: 0x04, name: 'A', label: 'A', group: 'Letters', web_code: 'KeyA' },
+        { code: 0x05, name: 'B', label: 'B', group: 'Letters', web_code: 'KeyB' },
+        { code: 0x06, name: 'C', label: 'C', group: 'Letters', web_code: 'KeyC' },
+        { code: 0x07, name: 'D', label: 'D', group: 'Letters', web_code: 'KeyD' },
+        { code: 0x08, name: 'E', label: 'E', group: 'Letters', web_code: 'KeyE' },
+        { code: 0x09, name: 'F', label: 'F', group: 'Letters', web_code: 'KeyF' },
+        { code: 0x0A, name: 'G', label: 'G', group: 'Letters', web_code: 'KeyG' },
+        { code: 0x0B, name: 'H', label: 'H', group: 'Letters', web_code: 'KeyH' },
+        { code: 0x0C, name: 'I', label: 'I', group: 'Letters', web_code: 'KeyI' },
+        { code: 0x0D, name: 'J', label: 'J', group: 'Letters', web_code: 'KeyJ' },
+        { code: 0x0E, name: 'K', label: 'K', group: 'Letters', web_code: 'KeyK' },
+        { code: 0x0F, name: 'L', label: 'L', group: 'Letters', web_code: 'KeyL' },
+        { code: 0x10, name: 'M', label: 'M', group: 'Letters', web_code: 'KeyM' },
+        { code: 0x11, name: 'N', label: 'N', group: 'Letters', web_code: 'KeyN' },
+        { code: 0x12, name: 'O', label: 'O', group: 'Letters', web_code: 'KeyO' },
+        { code: 0x13, name: 'P', label: 'P', group: 'Letters', web_code: 'KeyP' },
+        { code: 0x14, name: 'Q', label: 'Q', group: 'Letters', web_code: 'KeyQ' },
+        { code: 0x15, name: 'R', label: 'R', group: 'Letters', web_code: 'KeyR' },
+        { code: 0x16, name: 'S', label: 'S', group: 'Letters', web_code: 'KeyS' },
+        { code: 0x17, name: 'T', label: 'T', group: 'Letters', web_code: 'KeyT' },
+        { code: 0x18, name: 'U', label: 'U', group: 'Letters', web_code: 'KeyU' },
+        { code: 0x19, name: 'V', label: 'V', group: 'Letters', web_code: 'KeyV' },
+        { code: 0x1A, name: 'W', label: 'W', group: 'Letters', web_code: 'KeyW' },
+        { code: 0x1B, name: 'X', label: 'X', group: 'Letters', web_code: 'KeyX' },
+        { code: 0x1C, name: 'Y', label: 'Y', group: 'Letters', web_code: 'KeyY' },
+        { code: 0x1D, name: 'Z', label: 'Z', group: 'Letters', web_code: 'KeyZ' },
+        { code: 0x1E, name: '1', label: '1', group: 'Numbers', web_code: 'Digit1' },
+        { code: 0x1F, name: '2', label: '2', group: 'Numbers', web_code: 'Digit2' },
+        { code: 0x20, name: '3', label: '3', group: 'Numbers', web_code: 'Digit3' },
+        { code: 0x21, name: '4', label: '4', group: 'Numbers', web_code: 'Digit4' },
+        { code: 0x22, name: '5', label: '5', group: 'Numbers', web_code: 'Digit5' },
+        { code: 0x23, name: '6', label: '6', group: 'Numbers', web_code: 'Digit6' },
+        { code: 0x24, name: '7', label: '7', group: 'Numbers', web_code: 'Digit7' },
+        { code: 0x25, name: '8', label: '8', group: 'Numbers', web_code: 'Digit8' },
+        { code: 0x26, name: '9', label: '9', group: 'Numbers', web_code: 'Digit9' },
+        { code: 0x27, name: '0', label: '0', group: 'Numbers', web_code: 'Digit0' },
+        { code: 0x28, name: 'ENTER', label: 'Enter', group: 'Editing', web_code: 'Enter' },
+        { code: 0x29, name: 'ESCAPE', label: 'Escape', group: 'Editing', web_code: 'Escape' },
+        { code: 0x2A, name: 'BACKSPACE', label: 'Backspace', group: 'Editing', web_code: 'Backspace' },
+        { code: 0x2B, name: 'TAB', label: 'Tab', group: 'Editing', web_code: 'Tab' },
+        { code: 0x2C, name: 'SPACE', label: 'Space', group: 'Editing', web_code: 'Space' },
+        { code: 0x2D, name: 'MINUS', label: '- (Minus)', group: 'Punctuation', web_code: 'Minus' },
+        { code: 0x2E, name: 'EQUAL', label: '= (Equals)', group: 'Punctuation', web_code: 'Equal' },
+        { code: 0x2F, name: 'BRACKET_LEFT', label: '[ (Left Bracket)', group: 'Punctuation', web_code: 'BracketLeft' },
+        { code: 0x30, name: 'BRACKET_RIGHT', label: '] (Right Bracket)', group: 'Punctuation', web_code: 'BracketRight' },
+        { code: 0x31, name: 'BACKSLASH', label: '\\ (Backslash)', group: 'Punctuation', web_code: 'Backslash' },
+        { code: 0x32, name: 'EUROPE_1', label: 'Non-US # (Hash)', group: 'Punctuation', web_code: 'IntlHash' },
+        { code: 0x33, name: 'SEMICOLON', label: '; (Semicolon)', group: 'Punctuation', web_code: 'Semicolon' },
+        { code: 0x34, name: 'APOSTROPHE', label: "' (Apostrophe)", group: 'Punctuation', web_code: 'Quote' },
+        { code: 0x35, name: 'GRAVE', label: '` (Grave)', group: 'Punctuation', web_code: 'Backquote' },
+        { code: 0x36, name: 'COMMA', label: ', (Comma)', group: 'Punctuation', web_code: 'Comma' },
+        { code: 0x37, name: 'PERIOD', label: '. (Period)', group: 'Punctuation', web_code: 'Period' },
+        { code: 0x38, name: 'SLASH', label: '/ (Slash)', group: 'Punctuation', web_code: 'Slash' },
+        { code: 0x39, name: 'CAPS_LOCK', label: 'Caps Lock', group: 'Modifiers', web_code: 'CapsLock' },
+        { code: 0x3A, name: 'F1', label: 'F1', group: 'Function', web_code: 'F1' },
+        { code: 0x3B, name: 'F2', label: 'F2', group: 'Function', web_code: 'F2' },
+        { code: 0x3C, name: 'F3', label: 'F3', group: 'Function', web_code: 'F3' },
+        { code: 0x3D, name: 'F4', label: 'F4', group: 'Function', web_code: 'F4' },
+        { code: 0x3E, name: 'F5', label: 'F5', group: 'Function', web_code: 'F5' },
+        { code: 0x3F, name: 'F6', label: 'F6', group: 'Function', web_code: 'F6' },
+        { code: 0x40, name: 'F7', label: 'F7', group: 'Function', web_code: 'F7' },
+        { code: 0x41, name: 'F8', label: 'F8', group: 'Function', web_code: 'F8' },
+        { code: 0x42, name: 'F9', label: 'F9', group: 'Function', web_code: 'F9' },
+        { code: 0x43, name: 'F10', label: 'F10', group: 'Function', web_code: 'F10' },
+        { code: 0x44, name: 'F11', label: 'F11', group: 'Function', web_code: 'F11' },
+        { code: 0x45, name: 'F12', label: 'F12', group: 'Function', web_code: 'F12' },
+        { code: 0x46, name: 'PRINT_SCREEN', label: 'Print Screen', group: 'Navigation', web_code: 'PrintScreen' },
+        { code: 0x47, name: 'SCROLL_LOCK', label: 'Scroll Lock', group: 'Navigation', web_code: 'ScrollLock' },
+        { code: 0x48, name: 'PAUSE', label: 'Pause', group: 'Navigation', web_code: 'Pause' },
+        { code: 0x49, name: 'INSERT', label: 'Insert', group: 'Navigation', web_code: 'Insert' },
+        { code: 0x4A, name: 'HOME', label: 'Home', group: 'Navigation', web_code: 'Home' },
+        { code: 0x4B, name: 'PAGE_UP', label: 'Page Up', group: 'Navigation', web_code: 'PageUp' },
+        { code: 0x4C, name: 'DELETE', label: 'Delete', group: 'Navigation', web_code: 'Delete' },
+        { code: 0x4D, name: 'END', label: 'End', group: 'Navigation', web_code: 'End' },
+        { code: 0x4E, name: 'PAGE_DOWN', label: 'Page Down', group: 'Navigation', web_code: 'PageDown' },
+        { code: 0x4F, name: 'ARROW_RIGHT', label: 'Right Arrow', group: 'Navigation', web_code: 'ArrowRight' },
+        { code: 0x50, name: 'ARROW_LEFT', label: 'Left Arrow', group: 'Navigation', web_code: 'ArrowLeft' },
+        { code: 0x51, name: 'ARROW_DOWN', label: 'Down Arrow', group: 'Navigation', web_code: 'ArrowDown' },
+        { code: 0x52, name: 'ARROW_UP', label: 'Up Arrow', group: 'Navigation', web_code: 'ArrowUp' },
+        { code: 0x53, name: 'NUM_LOCK', label: 'Num Lock', group: 'Keypad', web_code: 'NumLock' },
+        { code: 0x54, name: 'KEYPAD_DIVIDE', label: 'Keypad /', group: 'Keypad', web_code: 'NumpadDivide' },
+        { code: 0x55, name: 'KEYPAD_MULTIPLY', label: 'Keypad *', group: 'Keypad', web_code: 'NumpadMultiply' },
+        { code: 0x56, name: 'KEYPAD_SUBTRACT', label: 'Keypad -', group: 'Keypad', web_code: 'NumpadSubtract' },
+        { code: 0x57, name: 'KEYPAD_ADD', label: 'Keypad +', group: 'Keypad', web_code: 'NumpadAdd' },
+        { code: 0x58, name: 'KEYPAD_ENTER', label: 'Keypad Enter', group: 'Keypad', web_code: 'NumpadEnter' },
+        { code: 0x59, name: 'KEYPAD_1', label: 'Keypad 1', group: 'Keypad', web_code: 'Numpad1' },
+        { code: 0x5A, name: 'KEYPAD_2', label: 'Keypad 2', group: 'Keypad', web_code: 'Numpad2' },
+        { code: 0x5B, name: 'KEYPAD_3', label: 'Keypad 3', group: 'Keypad', web_code: 'Numpad3' },
+        { code: 0x5C, name: 'KEYPAD_4', label: 'Keypad 4', group: 'Keypad', web_code: 'Numpad4' },
+        { code: 0x5D, name: 'KEYPAD_5', label: 'Keypad 5', group: 'Keypad', web_code: 'Numpad5' },
+        { code: 0x5E, name: 'KEYPAD_6', label: 'Keypad 6', group: 'Keypad', web_code: 'Numpad6' },
+        { code: 0x5F, name: 'KEYPAD_7', label: 'Keypad 7', group: 'Keypad', web_code: 'Numpad7' },
+        { code: 0x60, name: 'KEYPAD_8', label: 'Keypad 8', group: 'Keypad', web_code: 'Numpad8' },
+        { code: 0x61, name: 'KEYPAD_9', label: 'Keypad 9', group: 'Keypad', web_code: 'Numpad9' },
+        { code: 0x62, name: 'KEYPAD_0', label: 'Keypad 0', group: 'Keypad', web_code: 'Numpad0' },
+        { code: 0x63, name: 'KEYPAD_DECIMAL', label: 'Keypad .', group: 'Keypad', web_code: 'NumpadDecimal' },
+        { code: 0x64, name: 'EUROPE_2', label: 'Non-US \\ (Backslash)', group: 'International', web_code: 'IntlBackslash' },
+        { code: 0x65, name: 'APPLICATION', label: 'Menu', group: 'Editing', web_code: 'ContextMenu' },
+        { code: 0x66, name: 'POWER', label: 'Power', group: 'System', web_code: 'Power' },
+        { code: 0x67, name: 'KEYPAD_EQUAL', label: 'Keypad =', group: 'Keypad', web_code: 'NumpadEqual' },
+        { code: 0x68, name: 'F13', label: 'F13', group: 'Function', web_code: 'F13' },
+        { code: 0x69, name: 'F14', label: 'F14', group: 'Function', web_code: 'F14' },
+        { code: 0x6A, name: 'F15', label: 'F15', group: 'Function', web_code: 'F15' },
+        { code: 0x6B, name: 'F16', label: 'F16', group: 'Function', web_code: 'F16' },
+        { code: 0x6C, name: 'F17', label: 'F17', group: 'Function', web_code: 'F17' },
+        { code: 0x6D, name: 'F18', label: 'F18', group: 'Function', web_code: 'F18' },
+        { code: 0x6E, name: 'F19', label: 'F19', group: 'Function', web_code: 'F19' },
+        { code: 0x6F, name: 'F20', label: 'F20', group: 'Function', web_code: 'F20' },
+        { code: 0x70, name: 'F21', label: 'F21', group: 'Function', web_code: 'F21' },
+        { code: 0x71, name: 'F22', label: 'F22', group: 'Function', web_code: 'F22' },
+        { code: 0x72, name: 'F23', label: 'F23', group: 'Function', web_code: 'F23' },
+        { code: 0x73, name: 'F24', label: 'F24', group: 'Function', web_code: 'F24' },
+        { code: 0x74, name: 'EXECUTE', label: 'Execute', group: 'System' },
+        { code: 0x75, name: 'HELP', label: 'Help', group: 'System', web_code: 'Help' },
+        { code: 0x76, name: 'MENU', label: 'Menu (Alt)', group: 'System' },
+        { code: 0x77, name: 'SELECT', label: 'Select', group: 'System' },
+        { code: 0x78, name: 'STOP', label: 'Stop', group: 'System' },
+        { code: 0x79, name: 'AGAIN', label: 'Again', group: 'System' },
+        { code: 0x7A, name: 'UNDO', label: 'Undo', group: 'System', web_code: 'Undo' },
+        { code: 0x7B, name: 'CUT', label: 'Cut', group: 'System', web_code: 'Cut' },
+        { code: 0x7C, name: 'COPY', label: 'Copy', group: 'System', web_code: 'Copy' },
+        { code: 0x7D, name: 'PASTE', label: 'Paste', group: 'System', web_code: 'Paste' },
+        { code: 0x7E, name: 'FIND', label: 'Find', group: 'System', web_code: 'Find' },
+        { code: 0x7F, name: 'MUTE', label: 'Mute', group: 'Media', web_code: 'AudioVolumeMute' },
+        { code: 0x80, name: 'VOLUME_UP', label: 'Volume Up', group: 'Media', web_code: 'AudioVolumeUp' },
+        { code: 0x81, name: 'VOLUME_DOWN', label: 'Volume Down', group: 'Media', web_code: 'AudioVolumeDown' },
+        { code: 0x82, name: 'LOCKING_CAPS_LOCK', label: 'Locking Caps Lock', group: 'Modifiers' },
+        { code: 0x83, name: 'LOCKING_NUM_LOCK', label: 'Locking Num Lock', group: 'Modifiers' },
+        { code: 0x84, name: 'LOCKING_SCROLL_LOCK', label: 'Locking Scroll Lock', group: 'Modifiers' },
+        { code: 0x85, name: 'KEYPAD_COMMA', label: 'Keypad ,', group: 'Keypad', web_code: 'NumpadComma' },
+        { code: 0x86, name: 'KEYPAD_EQUAL_SIGN', label: 'Keypad = (AS/400)', group: 'Keypad' },
+        { code: 0x87, name: 'INTERNATIONAL_1', label: 'International 1', group: 'International', web_code: 'IntlRo' },
+        { code: 0x88, name: 'INTERNATIONAL_2', label: 'International 2', group: 'International', web_code: 'KanaMode' },
+        { code: 0x89, name: 'INTERNATIONAL_3', label: 'International 3', group: 'International', web_code: 'IntlYen' },
+        { code: 0x8A, name: 'INTERNATIONAL_4', label: 'International 4', group: 'International', web_code: 'Convert' },
+        { code: 0x8B, name: 'INTERNATIONAL_5', label: 'International 5', group: 'International', web_code: 'NonConvert' },
+        { code: 0x8C, name: 'INTERNATIONAL_6', label: 'International 6', group: 'International' },
+        { code: 0x8D, name: 'INTERNATIONAL_7', label: 'International 7', group: 'International' },
+        { code: 0x8E, name: 'INTERNATIONAL_8', label: 'International 8', group: 'International' },
+        { code: 0x8F, name: 'INTERNATIONAL_9', label: 'International 9', group: 'International' },
+        { code: 0x90, name: 'LANG_1', label: 'Language 1', group: 'International', web_code: 'Lang1' },
+        { code: 0x91, name: 'LANG_2', label: 'Language 2', group: 'International', web_code: 'Lang2' },
+        { code: 0x92, name: 'LANG_3', label: 'Language 3', group: 'International', web_code: 'Lang3' },
+        { code: 0x93, name: 'LANG_4', label: 'Language 4', group: 'International', web_code: 'Lang4' },
+        { code: 0x94, name: 'LANG_5', label: 'Language 5', group: 'International', web_code: 'Lang5' },
+        { code: 0x95, name: 'LANG_6', label: 'Language 6', group: 'International' },
+        { code: 0x96, name: 'LANG_7', label: 'Language 7', group: 'International' },
+        { code: 0x97, name: 'LANG_8', label: 'Language 8', group: 'International' },
+        { code: 0x98, name: 'LANG_9', label: 'Language 9', group: 'International' },
+        { code: 0x99, name: 'ALTERNATE_ERASE', label: 'Alternate Erase', group: 'System' },
+        { code: 0x9A, name: 'SYSREQ', label: 'SysReq / Attention', group: 'System' },
+        { code: 0x9B, name: 'CANCEL', label: 'Cancel', group: 'System' },
+        { code: 0x9C, name: 'CLEAR', label: 'Clear', group: 'System' },
+        { code: 0x9D, name: 'PRIOR', label: 'Prior', group: 'System' },
+        { code: 0x9E, name: 'RETURN', label: 'Return', group: 'System' },
+        { code: 0x9F, name: 'SEPARATOR', label: 'Separator', group: 'System' },
+        { code: 0xA0, name: 'OUT', label: 'Out', group: 'System' },
+        { code: 0xA1, name: 'OPER', label: 'Oper', group: 'System' },
+        { code: 0xA2, name: 'CLEAR_AGAIN', label: 'Clear / Again', group: 'System' },
+        { code: 0xA3, name: 'CRSEL', label: 'CrSel / Props', group: 'System' },
+        { code: 0xA4, name: 'EXSEL', label: 'ExSel', group: 'System' },
+        { code: 0xB0, name: 'KEYPAD_00', label: 'Keypad 00', group: 'Keypad' },
+        { code: 0xB1, name: 'KEYPAD_000', label: 'Keypad 000', group: 'Keypad' },
+        { code: 0xB2, name: 'THOUSANDS_SEPARATOR', label: 'Thousands Separator', group: 'Keypad' },
+        { code: 0xB3, name: 'DECIMAL_SEPARATOR', label: 'Decimal Separator', group: 'Keypad' },
+        { code: 0xB4, name: 'CURRENCY_UNIT', label: 'Currency Unit', group: 'Keypad' },
+        { code: 0xB5, name: 'CURRENCY_SUBUNIT', label: 'Currency Sub-unit', group: 'Keypad' },
+        { code: 0xB6, name: 'KEYPAD_PAREN_LEFT', label: 'Keypad (', group: 'Keypad', web_code: 'NumpadParenLeft' },
+        { code: 0xB7, name: 'KEYPAD_PAREN_RIGHT', label: 'Keypad )', group: 'Keypad', web_code: 'NumpadParenRight' },
+        { code: 0xB8, name: 'KEYPAD_BRACE_LEFT', label: 'Keypad {', group: 'Keypad' },
+        { code: 0xB9, name: 'KEYPAD_BRACE_RIGHT', label: 'Keypad }', group: 'Keypad' },
+        { code: 0xBA, name: 'KEYPAD_TAB', label: 'Keypad Tab', group: 'Keypad' },
+        { code: 0xBB, name: 'KEYPAD_BACKSPACE', label: 'Keypad Backspace', group: 'Keypad', web_code: 'NumpadBackspace' },
+        { code: 0xBC, name: 'KEYPAD_A', label: 'Keypad A', group: 'Keypad' },
+        { code: 0xBD, name: 'KEYPAD_B', label: 'Keypad B', group: 'Keypad' },
+        { code: 0xBE, name: 'KEYPAD_C', label: 'Keypad C', group: 'Keypad' },
+        { code: 0xBF, name: 'KEYPAD_D', label: 'Keypad D', group: 'Keypad' },
+        { code: 0xC0, name: 'KEYPAD_E', label: 'Keypad E', group: 'Keypad' },
+        { code: 0xC1, name: 'KEYPAD_F', label: 'Keypad F', group: 'Keypad' },
+        { code: 0xC2, name: 'KEYPAD_XOR', label: 'Keypad XOR', group: 'Keypad' },
+        { code: 0xC3, name: 'KEYPAD_CARET', label: 'Keypad ^', group: 'Keypad' },
+        { code: 0xC4, name: 'KEYPAD_PERCENT', label: 'Keypad %', group: 'Keypad' },
+        { code: 0xC5, name: 'KEYPAD_LESS', label: 'Keypad <', group: 'Keypad' },
+        { code: 0xC6, name: 'KEYPAD_GREATER', label: 'Keypad >', group: 'Keypad' },
+        { code: 0xC7, name: 'KEYPAD_AMPERSAND', label: 'Keypad &', group: 'Keypad' },
+        { code: 0xC8, name: 'KEYPAD_DOUBLE_AMPERSAND', label: 'Keypad &&', group: 'Keypad' },
+        { code: 0xC9, name: 'KEYPAD_PIPE', label: 'Keypad |', group: 'Keypad' },
+        { code: 0xCA, name: 'KEYPAD_DOUBLE_PIPE', label: 'Keypad ||', group: 'Keypad' },
+        { code: 0xCB, name: 'KEYPAD_COLON', label: 'Keypad :', group: 'Keypad' },
+        { code: 0xCC, name: 'KEYPAD_HASH', label: 'Keypad #', group: 'Keypad' },
+        { code: 0xCD, name: 'KEYPAD_SPACE', label: 'Keypad Space', group: 'Keypad' },
+        { code: 0xCE, name: 'KEYPAD_AT', label: 'Keypad @', group: 'Keypad' },
+        { code: 0xCF, name: 'KEYPAD_EXCLAMATION', label: 'Keypad !', group: 'Keypad' },
+        { code: 0xD0, name: 'KEYPAD_MEMORY_STORE', label: 'Keypad Memory Store', group: 'Keypad', web_code: 'NumpadMemoryStore' },
+        { code: 0xD1, name: 'KEYPAD_MEMORY_RECALL', label: 'Keypad Memory Recall', group: 'Keypad', web_code: 'NumpadMemoryRecall' },
+        { code: 0xD2, name: 'KEYPAD_MEMORY_CLEAR', label: 'Keypad Memory Clear', group: 'Keypad', web_code: 'NumpadMemoryClear' },
+        { code: 0xD3, name: 'KEYPAD_MEMORY_ADD', label: 'Keypad Memory Add', group: 'Keypad', web_code: 'NumpadMemoryAdd' },
+        { code: 0xD4, name: 'KEYPAD_MEMORY_SUBTRACT', label: 'Keypad Memory Subtract', group: 'Keypad', web_code: 'NumpadMemorySubtract' },
+        { code: 0xD5, name: 'KEYPAD_MEMORY_MULTIPLY', label: 'Keypad Memory Multiply', group: 'Keypad' },
+        { code: 0xD6, name: 'KEYPAD_MEMORY_DIVIDE', label: 'Keypad Memory Divide', group: 'Keypad' },
+        { code: 0xD7, name: 'KEYPAD_PLUS_MINUS', label: 'Keypad +/-', group: 'Keypad' },
+        { code: 0xD8, name: 'KEYPAD_CLEAR', label: 'Keypad Clear', group: 'Keypad', web_code: 'NumpadClear' },
+        { code: 0xD9, name: 'KEYPAD_CLEAR_ENTRY', label: 'Keypad Clear Entry', group: 'Keypad', web_code: 'NumpadClearEntry' },
+        { code: 0xDA, name: 'KEYPAD_BINARY', label: 'Keypad Binary', group: 'Keypad' },
+        { code: 0xDB, name: 'KEYPAD_OCTAL', label: 'Keypad Octal', group: 'Keypad' },
+        { code: 0xDC, name: 'KEYPAD_DECIMAL_BASE', label: 'Keypad Decimal', group: 'Keypad' },
+        { code: 0xDD, name: 'KEYPAD_HEXADECIMAL', label: 'Keypad Hexadecimal', group: 'Keypad' },
+        { code: 0xE0, name: 'CONTROL_LEFT', label: 'Left Ctrl', group: 'Modifiers', web_code: 'ControlLeft' },
+        { code: 0xE1, name: 'SHIFT_LEFT', label: 'Left Shift', group: 'Modifiers', web_code: 'ShiftLeft' },
+        { code: 0xE2, name: 'ALT_LEFT', label: 'Left Alt', group: 'Modifiers', web_code: 'AltLeft' },
+        { code: 0xE3, name: 'GUI_LEFT', label: 'Left GUI', group: 'Modifiers', web_code: 'MetaLeft' },
+        { code: 0xE4, name: 'CONTROL_RIGHT', label: 'Right Ctrl', group: 'Modifiers', web_code: 'ControlRight' },
+        { code: 0xE5, name: 'SHIFT_RIGHT', label: 'Right Shift', group: 'Modifiers', web_code: 'ShiftRight' },
+        { code: 0xE6, name: 'ALT_RIGHT', label: 'Right Alt', group: 'Modifiers', web_code: 'AltRight' },
+        { code: 0xE7, name: 'GUI_RIGHT', label: 'Right GUI', group: 'Modifiers', web_code: 'MetaRight' },
+    ];
+
+    /**
+     * Keyboard keys for a config.
+     * @param {object} config - picoctr-config.json contents
+     * @returns {Array<{ code: number, name: string, label: string, group: string, web_code?: string }>}
+     */
+    static keys(config) {
+        const keys = config?.pin_mapping?.keyboard_keys;
+        return keys && keys.length > 0 ? keys : PicoCTRKeyboardKeys.TABLE;
+    }
+}
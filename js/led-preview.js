@@ -0,0 +1,179 @@
+/**
+ * PicoCTR LED Strip Preview
+ *
+ * Simulates the RGB strip on a canvas so animations can be tried without a
+ * device. An animation is only previewed when its rendering is known
+ * exactly:
+ *
+ *   { "kind": "solid" }
+ *       every LED shows the configured color. Built in for `solid`, which
+ *       has no timing to get wrong.
+ *   { "kind": "custom" }
+ *       the custom animation being edited (see PicoCTRCustomAnimation).
+ *       Built in for `custom`, whose format this repo defines; the app
+ *       adds that entry when the device reports its id.
+ *   { "kind": "hue_cycle", "period_ms": 4000, "spread": 1 }
+ *       a rainbow that rotates once every period_ms; spread is how many
+ *       full hue cycles fit along the strip (0 = whole strip one color)
+ *
+ * Any other animation needs a `preview` object on its config.enums.animations
+ * entry, emitted by the firmware's config generator from the animation code
+ * so the preview runs the firmware's own parameters. Animations without one
+ * show the strip unlit and the note element says no preview is available.
+ *
+ * Brightness scales each channel by led_brightness / 255.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRLedPreview {
+    static FRAME_INTERVAL = 33;     // ms, ~30 fps is plenty for a preview
+    static MAX_LED_SIZE = 22;       // px (CSS), per LED cell
+    static MIN_LED_SIZE = 8;
+
+    // Animations whose preview needs no parameters from the firmware
+    static BUILT_IN = {
+        solid: { kind: 'solid' },
+        custom: { kind: 'custom' },
+    };
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} opts
+     * @param {function(): object} opts.getSettings - current settings values
+     * @param {function(): Array} opts.getAnimations - animation enum entries (config.enums.animations)
+     * @param {function(): object} [opts.getCustomAnimation] - animation for the "custom" kind
+     * @param {HTMLElement} [opts.note] - shown while the animation has no preview
+     */
+    constructor(canvas, { getSettings, getAnimations, getCustomAnimation = () => null, note = null }) {
+        this.canvas = canvas;
+        this.note = note;
+        this.getSettings = getSettings;
+        this.getCustomAnimation = getCustomAnimation;
+        this.getAnimations = getAnimations;
+        this._raf = null;
+        this._lastFrame = 0;
+    }
+
+    get running() {
+        return this._raf !== null;
+    }
+
+    start() {
+        if (this.running) return;
+        const tick = (now) => {
+            this._raf = requestAnimationFrame(tick);
+            if (now - this._lastFrame < PicoCTRLedPreview.FRAME_INTERVAL) return;
+            this._lastFrame = now;
+            this.draw(now);
+        };
+        this._raf = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this._raf !== null) cancelAnimationFrame(this._raf);
+        this._raf = null;
+    }
+
+    /** Draw the strip as it looks at time `t` (ms) */
+    draw(t) {
+        const width = this.canvas.clientWidth;
+        if (!width) return;    // hidden
+        const settings = this.getSettings();
+        const preview = this._previewFor(settings.rgb_animation);
+        if (this.note) this.note.hidden = !!preview || !settings.enable_rgb;
+        const colors = PicoCTRLedPreview.frame(settings, preview, t, this.getCustomAnimation());
+
+        // Lay LEDs out in rows that fit the canvas width
+        const count = colors.length;
+        const size = Math.max(PicoCTRLedPreview.MIN_LED_SIZE,
+            Math.min(PicoCTRLedPreview.MAX_LED_SIZE, width / Math.max(1, count)));
+        const perRow = Math.max(1, Math.floor(width / size));
+        const rows = Math.ceil(count / perRow);
+        const height = rows * size;
+
+        const dpr = window.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+            this.canvas.style.height = `${height}px`;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        colors.forEach(([r, g, b], i) => {
+            const x = (i % perRow) * size + size / 2;
+            const y = Math.floor(i / perRow) * size + size / 2;
+            ctx.beginPath();
+            ctx.arc(x, y, size * 0.38, 0, Math.PI * 2);
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.shadowColor = ctx.fillStyle;
+            ctx.shadowBlur = (r + g + b) > 0 ? size * 0.5 : 0;
+            ctx.fill();
+            // Outline so unlit LEDs are still visible
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    }
+
+    /** Preview metadata for an animation id, or null if it cannot be previewed */
+    _previewFor(animationId) {
+        const animation = this.getAnimations().find(a => a.id === animationId);
+        if (!animation) return null;
+        return animation.preview || PicoCTRLedPreview.BUILT_IN[animation.name] || null;
+    }
+
+    // ========================================================================
+    // Animation math
+    // ========================================================================
+
+    /**
+     * Colors of every LED at time `t`.
+     * @param {object} settings - { enable_rgb, rgb_r, rgb_g, rgb_b, led_count, led_brightness }
+     * @param {object|null} preview - animation preview metadata (see file header), null for unlit
+     * @param {number} t - time in ms
+     * @param {object} [custom] - custom animation, for the "custom" kind
+     * @returns {Array<number[]>} [r, g, b] per LED, after brightness
+     */
+    static frame(settings, preview, t, custom = null) {
+        const count = Math.max(0, settings.led_count || 0);
+        if (!settings.enable_rgb || !preview) return Array.from({ length: count }, () => [0, 0, 0]);
+
+        const scale = (settings.led_brightness ?? 255) / 255;
+        const dim = ([r, g, b]) => [Math.floor(r * scale), Math.floor(g * scale), Math.floor(b * scale)];
+
+        switch (preview.kind) {
+            case 'hue_cycle': {
+                const period = preview.period_ms || 4000;
+                const spread = preview.spread ?? 1;
+                const base = (t % period) / period;
+                return Array.from({ length: count }, (_, i) =>
+                    dim(PicoCTRLedPreview.hsvToRgb((base + (spread * i) / count) % 1, 1, 1))
+                );
+            }
+            case 'custom':
+                if (custom) return PicoCTRCustomAnimation.frame(custom, count, t).map(dim);
+                return Array.from({ length: count }, () => [0, 0, 0]);
+            case 'solid':
+            default: {
+                const color = dim([settings.rgb_r || 0, settings.rgb_g || 0, settings.rgb_b || 0]);
+                return Array.from({ length: count }, () => color);
+            }
+        }
+    }
+
+    /** h, s, v in 0..1 to [r, g, b] in 0..255 */
+    static hsvToRgb(h, s, v) {
+        const i = Math.floor(h * 6);
+        const f = h * 6 - i;
+        const p = v * (1 - s);
+        const q = v * (1 - f * s);
+        const t = v * (1 - (1 - f) * s);
+        const [r, g, b] = [
+            [v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q],
+        ][i % 6];
+        return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+    }
+}
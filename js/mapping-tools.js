@@ -0,0 +1,159 @@
+/**
+ * PicoCTR Bulk Mapping Tools
+ *
+ * Operations over many pins at once for the mapping table: set the type,
+ * gamepad or LED color of a selection, copy or swap one player's layout with
+ * another's, and shift gamepad targets. Pins are edited in place; buttons
+ * are passed as { expIdx, pinIdx, pin } like the mapping views use.
+ *
+ * Players are paired up by their pin labels (see PicoCTRButtonLabels), so
+ * "P1 B3" corresponds to "P2 B3" and "1P START" to "2P START".
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRMappingTools {
+    /** Output types whose target is a gamepad index */
+    static GAMEPAD_TYPES = [1, 2];
+
+    /** Set the output type of every pin, resetting target and code like a single edit does */
+    static setType(buttons, type) {
+        for (const { pin } of buttons) {
+            pin.output_type = type;
+            pin.output_target = 0;
+            pin.output_code = 0;
+        }
+        return buttons.length;
+    }
+
+    /**
+     * Point gamepad pins at another gamepad. Pins of other types have no
+     * target and are left alone.
+     * @returns {number} pins changed
+     */
+    static setTarget(buttons, target) {
+        let changed = 0;
+        for (const { pin } of buttons) {
+            if (!PicoCTRMappingTools.GAMEPAD_TYPES.includes(pin.output_type)) continue;
+            pin.output_target = target;
+            changed++;
+        }
+        return changed;
+    }
+
+    /**
+     * Color the LEDs of every pin that has one.
+     * @returns {number} pins changed
+     */
+    static setLedColor(buttons, { r, g, b }) {
+        let changed = 0;
+        for (const { pin } of buttons) {
+            if (!pin.led) continue;
+            Object.assign(pin.led, { r, g, b });
+            changed++;
+        }
+        return changed;
+    }
+
+    /**
+     * Move gamepad pins N gamepads up or down.
+     * @returns {{ shifted: number, skipped: string[] }} skipped lists labels
+     *   that would land outside 0..numGamepads-1 (left unchanged)
+     */
+    static shiftTargets(buttons, offset, numGamepads) {
+        const result = { shifted: 0, skipped: [] };
+        for (const { pin } of buttons) {
+            if (!PicoCTRMappingTools.GAMEPAD_TYPES.includes(pin.output_type)) continue;
+            const target = pin.output_target + offset;
+            if (target < 0 || target >= numGamepads) {
+                result.skipped.push(pin.label);
+                continue;
+            }
+            pin.output_target = target;
+            result.shifted++;
+        }
+        return result;
+    }
+
+    /**
+     * Give player `to` the same layout as player `from`. Gamepad outputs
+     * aimed at `from`'s own gamepad are moved to `to`'s gamepad, so copying
+     * P1 (gamepad 1) to P2 gives P2 the same buttons on gamepad 2.
+     * @returns {{ copied: number, unmatched: string[] }} unmatched lists
+     *   `to` labels with no counterpart on `from`
+     */
+    static copyPlayer(buttons, from, to) {
+        const result = { copied: 0, unmatched: [] };
+        const source = PicoCTRMappingTools._byRole(buttons, from);
+        for (const [role, dst] of PicoCTRMappingTools._byRole(buttons, to)) {
+            const src = source.get(role);
+            if (!src) {
+                result.unmatched.push(dst.pin.label);
+                continue;
+            }
+            const out = PicoCTRMappingTools._output(src.pin);
+            if (PicoCTRMappingTools.GAMEPAD_TYPES.includes(out.output_type) && out.output_target === from - 1) {
+                out.output_target = to - 1;
+            }
+            Object.assign(dst.pin, out);
+            result.copied++;
+        }
+        return result;
+    }
+
+    /**
+     * Exchange the outputs of players `a` and `b`, control by control.
+     * @returns {{ swapped: number, unmatched: string[] }}
+     */
+    static swapPlayers(buttons, a, b) {
+        const result = { swapped: 0, unmatched: [] };
+        const first = PicoCTRMappingTools._byRole(buttons, a);
+        const second = PicoCTRMappingTools._byRole(buttons, b);
+        for (const [role, x] of first) {
+            const y = second.get(role);
+            if (!y) {
+                result.unmatched.push(x.pin.label);
+                continue;
+            }
+            const out = PicoCTRMappingTools._output(x.pin);
+            Object.assign(x.pin, PicoCTRMappingTools._output(y.pin));
+            Object.assign(y.pin, out);
+            result.swapped++;
+        }
+        for (const [role, y] of second) {
+            if (!first.has(role)) result.unmatched.push(y.pin.label);
+        }
+        return result;
+    }
+
+    /** Player numbers that appear in the pin labels, ascending */
+    static players(buttons) {
+        const players = new Set();
+        for (const { pin } of buttons) {
+            const { player } = PicoCTRButtonLabels.parse(pin.label);
+            if (player !== null) players.add(player);
+        }
+        return [...players].sort((x, y) => x - y);
+    }
+
+    // ========================================================================
+    // Internals
+    // ========================================================================
+
+    /** Map of control role ("UP", "B3", "START", ...) to button for one player */
+    static _byRole(buttons, player) {
+        const roles = new Map();
+        for (const button of buttons) {
+            const info = PicoCTRButtonLabels.parse(button.pin.label);
+            if (info.player !== player) continue;
+            const role = info.kind === 'direction' ? info.direction
+                : info.kind === 'button' ? `B${info.number}`
+                : `${info.kind}:${info.text}`;
+            if (!roles.has(role)) roles.set(role, button);
+        }
+        return roles;
+    }
+
+    static _output(pin) {
+        return { output_type: pin.output_type, output_target: pin.output_target, output_code: pin.output_code };
+    }
+}
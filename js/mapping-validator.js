@@ -0,0 +1,205 @@
+/**
+ * PicoCTR Mapping Validator
+ *
+ * Looks over a pin mapping for setups that are accepted by the firmware but
+ * play wrong: two buttons sending the same output, gamepads without START or
+ * a complete D-pad, joysticks wired to the wrong directions, gamepad targets
+ * the device does not have, more simultaneous keys than a keyboard report
+ * can carry, and button LEDs that are shared or off the end of the strip.
+ *
+ * Buttons are passed as { expIdx, pinIdx, pin } like the mapping views use.
+ * Each issue is { level: 'error'|'warning', message, pins } where pins lists
+ * the "expander:pin" keys involved (empty for mapping-wide issues).
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRMappingValidator {
+    /** Non-modifier keys a keyboard input report carries at once */
+    static KEYBOARD_ROLLOVER = 6;
+
+    /** HID usages 0xE0-0xE7 (Ctrl, Shift, Alt, GUI) travel in the modifier byte */
+    static isModifier(code) {
+        return code >= 0xE0 && code <= 0xE7;
+    }
+
+    /**
+     * @param {Array} buttons - [{ expIdx, pinIdx, pin }]
+     * @param {object} ctx
+     * @param {object} ctx.config - picoctr-config.json contents
+     * @param {number} ctx.numGamepads - gamepads the device exposes
+     * @param {function(object): string} [ctx.describe] - text for a pin's output
+     * @param {number} [ctx.ledCount] - LEDs on the strip (led_count setting)
+     * @returns {Array<{ level: string, message: string, pins: string[] }>} errors first
+     */
+    static validate(buttons, { config, numGamepads, describe = () => 'the same output', ledCount }) {
+        const mapped = buttons.filter(b => b.pin.output_type !== 0);
+        const issues = [
+            ...PicoCTRMappingValidator._checkTargets(mapped, numGamepads),
+            ...PicoCTRMappingValidator._checkDuplicates(mapped, describe),
+            ...PicoCTRMappingValidator._checkGamepads(mapped, config, numGamepads),
+            ...PicoCTRMappingValidator._checkJoysticks(mapped, config),
+            ...PicoCTRMappingValidator._checkRollover(mapped),
+            ...PicoCTRMappingValidator._checkLeds(buttons, ledCount),
+        ];
+        return issues.sort((a, b) => (a.level === 'error' ? 0 : 1) - (b.level === 'error' ? 0 : 1));
+    }
+
+    static _key(button) {
+        return `${button.expIdx}:${button.pinIdx}`;
+    }
+
+    static _isGamepad(pin) {
+        return pin.output_type === 1 || pin.output_type === 2;
+    }
+
+    static _checkTargets(mapped, numGamepads) {
+        return mapped
+            .filter(b => PicoCTRMappingValidator._isGamepad(b.pin) && b.pin.output_target >= numGamepads)
+            .map(b => ({
+                level: 'error',
+                message: `${b.pin.label} sends to gamepad ${b.pin.output_target + 1}, but the device only has ${numGamepads}`,
+                pins: [PicoCTRMappingValidator._key(b)],
+            }));
+    }
+
+    static _checkDuplicates(mapped, describe) {
+        const groups = new Map();
+        for (const b of mapped) {
+            const { output_type: type, output_target: target, output_code: code } = b.pin;
+            // Keyboard keys are shared by every player, so only the code matters
+            const sig = type === 3 ? `3:${code}` : `${type}:${target}:${code}`;
+            if (!groups.has(sig)) groups.set(sig, []);
+            groups.get(sig).push(b);
+        }
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({
+                level: 'warning',
+                message: `${group.map(b => b.pin.label).join(', ')} ${group.length === 2 ? 'both' : 'all'} send ${describe(group[0].pin)}`,
+                pins: group.map(PicoCTRMappingValidator._key),
+            }));
+    }
+
+    /** Every gamepad in use needs START and all four D-pad directions */
+    static _checkGamepads(mapped, config, numGamepads) {
+        const pm = config.pin_mapping;
+        const start = pm.gamepad_buttons.find(b => b.name === 'START');
+        const issues = [];
+
+        const targets = new Set(mapped
+            .filter(b => PicoCTRMappingValidator._isGamepad(b.pin) && b.pin.output_target < numGamepads)
+            .map(b => b.pin.output_target));
+
+        for (const target of [...targets].sort((a, b) => a - b)) {
+            const pins = mapped.filter(b => b.pin.output_target === target).map(b => b.pin);
+            if (start && !pins.some(p => p.output_type === 1 && p.output_code === start.idx)) {
+                issues.push({ level: 'warning', message: `Gamepad ${target + 1} has no START button`, pins: [] });
+            }
+            const missing = pm.dpad_directions
+                .filter(d => !pins.some(p => p.output_type === 2 && p.output_code === d.idx))
+                .map(d => d.name);
+            if (missing.length === pm.dpad_directions.length) {
+                issues.push({ level: 'warning', message: `Gamepad ${target + 1} has no D-pad directions`, pins: [] });
+            } else if (missing.length > 0) {
+                issues.push({
+                    level: 'warning',
+                    message: `Gamepad ${target + 1} D-pad can never reach ${missing.join(', ')}`,
+                    pins: [],
+                });
+            }
+        }
+        return issues;
+    }
+
+    /** Joystick directions should drive the matching D-pad direction of one gamepad */
+    static _checkJoysticks(mapped, config) {
+        const dpad = config.pin_mapping.dpad_directions;
+        const issues = [];
+        const byPlayer = new Map();
+
+        for (const b of mapped) {
+            const info = PicoCTRButtonLabels.parse(b.pin.label);
+            if (info.kind !== 'direction' || b.pin.output_type !== 2) continue;
+
+            const dir = dpad.find(d => d.idx === b.pin.output_code);
+            if (dir && dir.name !== info.direction) {
+                issues.push({
+                    level: 'warning',
+                    message: `${b.pin.label} is mapped to D-pad ${dir.name}`,
+                    pins: [PicoCTRMappingValidator._key(b)],
+                });
+            }
+            const player = info.player ?? 0;
+            if (!byPlayer.has(player)) byPlayer.set(player, []);
+            byPlayer.get(player).push(b);
+        }
+
+        for (const [player, sticks] of byPlayer) {
+            const targets = [...new Set(sticks.map(b => b.pin.output_target))].sort((a, b) => a - b);
+            if (targets.length < 2) continue;
+            issues.push({
+                level: 'warning',
+                message: `${player ? `P${player}` : 'Joystick'} directions are split across gamepads ${targets.map(t => t + 1).join(', ')}`,
+                pins: sticks.map(PicoCTRMappingValidator._key),
+            });
+        }
+        return issues;
+    }
+
+    /**
+     * Worst case of non-modifier keys held together: every button of every
+     * player, plus two directions per joystick (a diagonal).
+     */
+    static _checkRollover(mapped) {
+        const keys = mapped.filter(b => b.pin.output_type === 3 && !PicoCTRMappingValidator.isModifier(b.pin.output_code));
+        const directions = new Map();
+        let held = 0;
+        for (const b of keys) {
+            const info = PicoCTRButtonLabels.parse(b.pin.label);
+            if (info.kind === 'direction') {
+                const player = info.player ?? 0;
+                directions.set(player, (directions.get(player) || 0) + 1);
+            } else {
+                held++;
+            }
+        }
+        for (const count of directions.values()) held += Math.min(2, count);
+
+        const limit = PicoCTRMappingValidator.KEYBOARD_ROLLOVER;
+        if (held <= limit) return [];
+        return [{
+            level: 'warning',
+            message: `Up to ${held} non-modifier keys can be held at once, but the keyboard reports only ${limit}; ` +
+                'extra presses are dropped. Use modifier keys (Ctrl, Shift, Alt, GUI) or gamepad outputs for some buttons.',
+            pins: [],
+        }];
+    }
+
+    /** Button LEDs must be on the strip and not shared between buttons */
+    static _checkLeds(buttons, ledCount) {
+        const issues = [];
+        const byIndex = new Map();
+        for (const b of buttons) {
+            const led = b.pin.led;
+            if (!led) continue;
+            if (ledCount !== undefined && led.index >= ledCount) {
+                issues.push({
+                    level: 'warning',
+                    message: `${b.pin.label} uses LED ${led.index}, but the strip has ${ledCount} LEDs`,
+                    pins: [PicoCTRMappingValidator._key(b)],
+                });
+            }
+            if (!byIndex.has(led.index)) byIndex.set(led.index, []);
+            byIndex.get(led.index).push(b);
+        }
+        for (const [index, group] of byIndex) {
+            if (group.length < 2) continue;
+            issues.push({
+                level: 'warning',
+                message: `${group.map(b => b.pin.label).join(', ')} share LED ${index}`,
+                pins: group.map(PicoCTRMappingValidator._key),
+            });
+        }
+        return issues;
+    }
+}
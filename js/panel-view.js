@@ -0,0 +1,291 @@
+/**
+ * PicoCTR Control Panel View
+ *
+ * Draws the cabinet's buttons and joysticks as an SVG control panel. A layout
+ * can be supplied per device in picoctr-panels.json (keyed by device target or
+ * board); otherwise one is generated from the pin labels, one panel per player
+ * with the joystick on the left and the action buttons in rows on the right.
+ *
+ * Buttons are passed in as { expIdx, pinIdx, pin } (the same entries the
+ * mapping table renders) and each drawn control carries data-expander and
+ * data-pin so the app can highlight it like a table row.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRPanelView {
+    static SVG_NS = 'http://www.w3.org/2000/svg';
+    static URL = 'picoctr-panels.json';
+
+    // Auto layout geometry (SVG units)
+    static PANEL_WIDTH = 300;
+    static PANEL_HEIGHT = 210;
+    static PANELS_PER_ROW = 2;
+    static BUTTON_RADIUS = 16;
+    static SMALL_RADIUS = 12;
+
+    /**
+     * @param {HTMLElement} container
+     * @param {object} opts
+     * @param {function(object, Element)} opts.onSelect - called with the clicked button and its SVG element
+     * @param {function(object): string} [opts.describe] - tooltip text for a pin's current output
+     * @param {function(object): string|null} [opts.color] - fill color for a pin's button (its LED color)
+     */
+    constructor(container, { onSelect, describe, color }) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.describe = describe || (() => '');
+        this.color = color || (() => null);
+    }
+
+    /** Fetch the hand-written layouts, keyed by device target or board */
+    static async load(url = PicoCTRPanelView.URL) {
+        const resp = await fetch(url);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        return data.layouts || {};
+    }
+
+    /**
+     * Render buttons using a layout definition, or an automatic layout.
+     * @param {Array} buttons - [{ expIdx, pinIdx, pin }]
+     * @param {object|null} layoutDef - entry from picoctr-panels.json
+     */
+    render(buttons, layoutDef) {
+        const layout = layoutDef
+            ? PicoCTRPanelView.fromDefinition(layoutDef, buttons)
+            : PicoCTRPanelView.autoLayout(buttons);
+
+        const svg = this._el('svg', {
+            class: 'panel-svg',
+            viewBox: `0 0 ${layout.width} ${layout.height}`,
+            role: 'img',
+            'aria-label': 'Control panel layout',
+        });
+
+        for (const panel of layout.panels) {
+            svg.appendChild(this._el('rect', {
+                class: 'panel-bg', x: panel.x + 4, y: panel.y + 4,
+                width: panel.width - 8, height: panel.height - 8, rx: 10,
+            }));
+            if (panel.title) {
+                const title = this._el('text', { class: 'panel-title', x: panel.x + 16, y: panel.y + 24 });
+                title.textContent = panel.title;
+                svg.appendChild(title);
+            }
+        }
+
+        for (const stick of layout.joysticks) {
+            svg.appendChild(this._el('circle', { class: 'panel-joystick-base', cx: stick.x, cy: stick.y, r: stick.r }));
+            svg.appendChild(this._el('circle', { class: 'panel-joystick-ball', cx: stick.x, cy: stick.y, r: stick.r * 0.28 }));
+        }
+
+        for (const control of layout.controls) {
+            svg.appendChild(this._renderControl(control));
+        }
+
+        this.container.innerHTML = '';
+        this.container.appendChild(svg);
+    }
+
+    _renderControl(control) {
+        const { button } = control;
+        const g = this._el('g', { class: 'panel-control' + (button ? '' : ' panel-control-missing') });
+        if (button) {
+            g.dataset.expander = button.expIdx;
+            g.dataset.pin = button.pinIdx;
+            g.setAttribute('tabindex', '0');
+            g.setAttribute('role', 'button');
+            g.addEventListener('click', () => this.onSelect(button, g));
+            g.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.onSelect(button, g);
+                }
+            });
+        }
+
+        const tooltip = this._el('title');
+        tooltip.textContent = button
+            ? `${button.pin.label}\n${this.describe(button.pin)}`
+            : `${control.label} (not on this device)`;
+        g.appendChild(tooltip);
+
+        const circle = this._el('circle', { class: 'panel-button', cx: control.x, cy: control.y, r: control.r });
+        const fill = button && this.color(button.pin);
+        if (fill) {
+            circle.style.fill = fill;
+            g.classList.add('panel-control-lit');
+        }
+        g.appendChild(circle);
+
+        const text = this._el('text', {
+            class: 'panel-button-text' + (control.text.length > 2 ? ' panel-button-text-small' : ''),
+            x: control.x, y: control.y,
+        });
+        text.textContent = control.text;
+        g.appendChild(text);
+
+        if (control.caption) {
+            const caption = this._el('text', { class: 'panel-caption', x: control.x, y: control.y + control.r + 11 });
+            caption.textContent = control.caption;
+            g.appendChild(caption);
+        }
+        return g;
+    }
+
+    _el(tag, attrs = {}) {
+        const el = document.createElementNS(PicoCTRPanelView.SVG_NS, tag);
+        for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+        return el;
+    }
+
+    // ========================================================================
+    // Layouts
+    // ========================================================================
+
+    /**
+     * Generate a layout from pin labels: one panel per player (plus one for
+     * buttons without a player) with joystick, system buttons and action rows.
+     * @returns {{ width, height, panels, joysticks, controls }}
+     */
+    static autoLayout(buttons, originY = 0) {
+        const W = PicoCTRPanelView.PANEL_WIDTH;
+        const groups = new Map();
+        for (const button of buttons) {
+            const info = PicoCTRButtonLabels.parse(button.pin.label);
+            const key = info.player ?? 0;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ button, info });
+        }
+
+        // Players in order, shared buttons last
+        const keys = [...groups.keys()].sort((a, b) => (a || Infinity) - (b || Infinity));
+        const layout = { width: 0, height: originY, panels: [], joysticks: [], controls: [] };
+
+        let rowY = originY;
+        let rowHeight = 0;
+        keys.forEach((key, i) => {
+            const col = i % PicoCTRPanelView.PANELS_PER_ROW;
+            if (col === 0 && i > 0) {
+                rowY += rowHeight;
+                rowHeight = 0;
+            }
+            const panel = PicoCTRPanelView._layoutPanel(groups.get(key), col * W, rowY);
+            panel.title = key ? `Player ${key}` : 'Cabinet';
+            layout.panels.push(panel);
+            layout.joysticks.push(...panel.joysticks);
+            layout.controls.push(...panel.controls);
+            rowHeight = Math.max(rowHeight, panel.height);
+            layout.width = Math.max(layout.width, (col + 1) * W);
+        });
+        layout.height = rowY + rowHeight;
+        return layout;
+    }
+
+    static _layoutPanel(entries, x0, y0) {
+        const R = PicoCTRPanelView.BUTTON_RADIUS;
+        const r = PicoCTRPanelView.SMALL_RADIUS;
+        const panel = { x: x0, y: y0, width: PicoCTRPanelView.PANEL_WIDTH, height: 0, joysticks: [], controls: [] };
+        const control = (entry, x, y, radius, caption = '') => ({
+            x, y, r: radius, text: entry.info.text, caption, label: entry.button.pin.label, button: entry.button,
+        });
+
+        // Joystick on the left
+        const directions = entries.filter(e => e.info.kind === 'direction');
+        const stick = { x: x0 + 70, y: y0 + 115, r: 50 };
+        if (directions.length > 0) {
+            panel.joysticks.push(stick);
+            const offsets = { UP: [0, -1], DOWN: [0, 1], LEFT: [-1, 0], RIGHT: [1, 0] };
+            for (const entry of directions) {
+                const [dx, dy] = offsets[entry.info.direction];
+                panel.controls.push(control(entry, stick.x + dx * 34, stick.y + dy * 34, r));
+            }
+        }
+
+        // Start / coin above the action buttons
+        const system = entries.filter(e => e.info.kind === 'start' || e.info.kind === 'coin');
+        const left = directions.length > 0 ? x0 + 150 : x0 + 40;
+        system.forEach((entry, i) => {
+            panel.controls.push(control(entry, left + i * 52, y0 + 50, r));
+        });
+
+        // Numbered buttons in rows (3 over 3 for a classic six-button panel),
+        // then anything else
+        const numbered = entries
+            .filter(e => e.info.kind === 'button')
+            .sort((a, b) => a.info.number - b.info.number);
+        const others = entries.filter(e => e.info.kind === 'other');
+        const perRow = directions.length > 0
+            ? Math.min(4, Math.max(1, Math.ceil(numbered.length / 2)))
+            : 6;
+        const spacing = R * 2 + 8;
+
+        let y = y0 + (system.length > 0 || directions.length > 0 ? 100 : 55);
+        numbered.forEach((entry, i) => {
+            const col = i % perRow;
+            if (col === 0 && i > 0) y += spacing + 6;
+            panel.controls.push(control(entry, left + col * spacing, y, R));
+        });
+        if (numbered.length > 0) y += spacing + 10;
+
+        // Unrecognized labels get the full width, captioned with the label
+        others.forEach((entry, i) => {
+            const col = i % 4;
+            if (col === 0 && i > 0) y += spacing + 10;
+            const c = control(entry, x0 + 40 + col * 64, y, r, entry.button.pin.label);
+            c.text = '';
+            panel.controls.push(c);
+        });
+        if (others.length > 0) y += spacing;
+
+        panel.height = directions.length > 0
+            ? Math.max(PicoCTRPanelView.PANEL_HEIGHT, y - y0 + 10)
+            : y - y0 + 10;
+        return panel;
+    }
+
+    /**
+     * Build a layout from a config definition:
+     *   { width, height, joysticks?: [{ x, y, r }], controls: [{ label, x, y, r?, text? }] }
+     * Controls are matched to pins by label (case-insensitive). Buttons the
+     * definition does not place are laid out automatically below it.
+     */
+    static fromDefinition(def, buttons) {
+        const byLabel = new Map(buttons.map(b => [b.pin.label.trim().toUpperCase(), b]));
+        const placed = new Set();
+
+        const controls = (def.controls || []).map(c => {
+            const button = byLabel.get((c.label || '').trim().toUpperCase()) || null;
+            if (button) placed.add(button);
+            return {
+                x: c.x,
+                y: c.y,
+                r: c.r || PicoCTRPanelView.BUTTON_RADIUS,
+                text: c.text ?? PicoCTRButtonLabels.parse(c.label).text,
+                caption: c.caption || '',
+                label: c.label,
+                button,
+            };
+        });
+
+        const layout = {
+            width: def.width,
+            height: def.height,
+            panels: [{ x: 0, y: 0, width: def.width, height: def.height, title: def.title || '' }],
+            joysticks: (def.joysticks || []).map(j => ({ x: j.x, y: j.y, r: j.r || 50 })),
+            controls,
+        };
+
+        const unplaced = buttons.filter(b => !placed.has(b));
+        if (unplaced.length > 0) {
+            const extra = PicoCTRPanelView.autoLayout(unplaced, def.height);
+            extra.panels.forEach(p => { p.title = `${p.title} (not in layout)`; });
+            layout.width = Math.max(layout.width, extra.width);
+            layout.height = extra.height;
+            layout.panels.push(...extra.panels);
+            layout.joysticks.push(...extra.joysticks);
+            layout.controls.push(...extra.controls);
+        }
+        return layout;
+    }
+}
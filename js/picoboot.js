@@ -1,7 +1,7 @@
 /**
  * PicoCTR PICOBOOT WebUSB Flasher
  *
- * Implements the RP2040 PICOBOOT protocol over WebUSB to flash UF2 firmware
+ * Implements the RP2040/RP2350 PICOBOOT protocol over WebUSB to flash UF2 firmware
  * directly from the browser without needing a USB mass storage driver.
  *
  * Protocol reference: pico-sdk/src/common/boot_picoboot_headers/include/boot/picoboot.h
@@ -31,19 +31,51 @@ class PicobootConnection {
         ENTER_CMD_XIP:    0x07,
         EXEC:             0x08,
         VECTORIZE_FLASH:  0x09,
+        REBOOT2:          0x0A,  // RP2350 only (replaces REBOOT)
+        GET_INFO:         0x8B,  // RP2350 only, device-to-host
     };
 
+    // RP2350 REBOOT2 flags (boot/picoboot_constants.h)
+    static REBOOT2_FLAG_REBOOT_TYPE_NORMAL = 0x0;
+
+    // RP2350 GET_INFO types (boot/picoboot_constants.h)
+    static GET_INFO_UF2_TARGET_PARTITION = 0x03;
+
+    // RP2350 partition location bitfields (boot/picobin.h)
+    static PARTITION_LOCATION_FIRST_SECTOR_LSB = 0;
+    static PARTITION_LOCATION_LAST_SECTOR_LSB  = 13;
+    static PARTITION_LOCATION_SECTOR_BITMASK   = 0x1FFF;
+
     // UF2 constants
     static UF2_MAGIC_START0 = 0x0A324655;  // "UF2\n"
     static UF2_MAGIC_START1 = 0x9E5D5157;
     static UF2_MAGIC_END    = 0x0AB16F30;
+    static UF2_FLAG_NOT_MAIN_FLASH = 0x00000001;
     static UF2_FLAG_FAMILY  = 0x00002000;
     static RP2040_FAMILY_ID = 0xE48BFF56;
+    static ABSOLUTE_FAMILY_ID = 0xE48BFF57;  // RP2350: write at the given address, ignore partitions
+    static DATA_FAMILY_ID     = 0xE48BFF58;  // RP2350: data-only partition image
     static RP2350_ARM_S_FAMILY_ID  = 0xE48BFF59;
     static RP2350_ARM_NS_FAMILY_ID = 0xE48BFF5A;
     static RP2350_RISCV_FAMILY_ID  = 0xE48BFF5B;
     static UF2_BLOCK_SIZE = 512;
 
+    // Address of the RP2350-E10 errata workaround block that picotool adds to
+    // RP2350 UF2s. The bootrom discards it; it must never be written to flash.
+    static RP2350_E10_BLOCK_ADDR = 0x10FFFF00;
+
+    // UF2 family IDs each chip's bootrom accepts
+    static CHIP_FAMILIES = {
+        RP2040: [PicobootConnection.RP2040_FAMILY_ID],
+        RP2350: [
+            PicobootConnection.RP2350_ARM_S_FAMILY_ID,
+            PicobootConnection.RP2350_ARM_NS_FAMILY_ID,
+            PicobootConnection.RP2350_RISCV_FAMILY_ID,
+            PicobootConnection.ABSOLUTE_FAMILY_ID,
+            PicobootConnection.DATA_FAMILY_ID,
+        ],
+    };
+
     // Flash geometry
     static FLASH_SECTOR_SIZE = 4096;   // 4 KB erase sector
     static FLASH_PAGE_SIZE   = 256;    // 256-byte write page
@@ -57,6 +89,8 @@ class PicobootConnection {
         this._endpointIn = -1;
         this._endpointOut = -1;
         this._token = 1;
+        this.chip = null;               // 'RP2040' | 'RP2350', set on connect
+        this.flashSize = null;          // bytes, set by readFlashImage() / flashUF2({ eraseAll })
     }
 
     /**
@@ -80,6 +114,9 @@ class PicobootConnection {
 
         await this._device.open();
 
+        // The BOOTSEL product ID identifies the chip
+        this.chip = this._device.productId === PicobootConnection.PRODUCT_ID_RP2350 ? 'RP2350' : 'RP2040';
+
         // Select configuration 1 if not already selected
         if (!this._device.configuration || this._device.configuration.configurationValue !== 1) {
             await this._device.selectConfiguration(1);
@@ -407,9 +444,32 @@ class PicobootConnection {
         }
     }
 
+    /**
+     * Reboot an RP2350 device (REBOOT2 command; the RP2350 bootrom has no REBOOT).
+     * @param {number} flags - REBOOT2_FLAG_* value
+     * @param {number} delayMs - Delay in milliseconds before reboot
+     * @param {number} param0 - Reboot-type specific parameter
+     * @param {number} param1 - Reboot-type specific parameter
+     */
+    async reboot2(flags = PicobootConnection.REBOOT2_FLAG_REBOOT_TYPE_NORMAL, delayMs = 500, param0 = 0, param1 = 0) {
+        // picoboot_reboot2_cmd: { dFlags, dDelayMS, dParam0, dParam1 }
+        const args = new ArrayBuffer(16);
+        const view = new DataView(args);
+        view.setUint32(0, flags, true);
+        view.setUint32(4, delayMs, true);
+        view.setUint32(8, param0, true);
+        view.setUint32(12, param1, true);
+        try {
+            await this._sendCommand(PicobootConnection.CMD.REBOOT2, args);
+        } catch (_) {
+            // Device disconnects immediately on reboot, errors expected
+        }
+    }
+
     /**
      * Reboot the device into normal mode (run user firmware from flash).
-     * Uses pc=0 to boot from flash and sp=SRAM_END (0x20042000) for RP2040.
+     * RP2040: uses pc=0 to boot from flash and sp=SRAM_END (0x20042000).
+     * RP2350: uses REBOOT2 with the normal reboot type.
      * The device will disconnect from USB and re-enumerate as the normal
      * HID device after rebooting.
      *
@@ -420,11 +480,50 @@ class PicobootConnection {
     async rebootToNormal(delayMs = 500) {
         // Reset the interface to recover from any prior endpoint stalls
         await this._resetInterface();
+        if (this.chip === 'RP2350') {
+            await this.reboot2(PicobootConnection.REBOOT2_FLAG_REBOOT_TYPE_NORMAL, delayMs);
+            return;
+        }
         // RP2040 SRAM ends at 0x20042000 — used as default stack pointer
         const RP2040_SRAM_END = 0x20042000;
         await this.reboot(0, RP2040_SRAM_END, delayMs);
     }
 
+    /**
+     * Ask the RP2350 bootrom which partition it would place a UF2 of the given
+     * family into (GET_INFO / UF2_TARGET_PARTITION).
+     *
+     * Response words: [word count, partition index (-1 = none), permissions_and_location, permissions_and_flags]
+     *
+     * @param {number} familyId - UF2 family ID
+     * @returns {Promise<{index: number, start: number, end: number}|null>} - Flash offsets, or null if the
+     *   device has no partition table (image is written at its absolute address)
+     */
+    async getUF2TargetPartition(familyId) {
+        // picoboot_get_info_cmd: { uint8 bType, uint8 bParam, uint16 wParam, uint32 dParams[3] }
+        const args = new ArrayBuffer(16);
+        const view = new DataView(args);
+        view.setUint8(0, PicobootConnection.GET_INFO_UF2_TARGET_PARTITION);
+        view.setUint32(4, familyId, true);
+
+        const data = await this._sendCommand(PicobootConnection.CMD.GET_INFO, args, 16, true);
+        if (!data || data.byteLength < 8) return null;
+
+        const resp = new DataView(data);
+        const index = resp.getInt32(4, true);
+        if (index < 0 || data.byteLength < 12) return null;
+
+        const location = resp.getUint32(8, true);
+        const mask = PicobootConnection.PARTITION_LOCATION_SECTOR_BITMASK;
+        const firstSector = (location >>> PicobootConnection.PARTITION_LOCATION_FIRST_SECTOR_LSB) & mask;
+        const lastSector = (location >>> PicobootConnection.PARTITION_LOCATION_LAST_SECTOR_LSB) & mask;
+        return {
+            index,
+            start: firstSector * PicobootConnection.FLASH_SECTOR_SIZE,
+            end: (lastSector + 1) * PicobootConnection.FLASH_SECTOR_SIZE,
+        };
+    }
+
     // ========================================================================
     // Installed Firmware Info (read from flash)
     // ========================================================================
@@ -481,14 +580,129 @@ class PicobootConnection {
         return PicobootConnection.extractBinaryInfo(blocks);
     }
 
+    // ========================================================================
+    // Flash Backup
+    // ========================================================================
+
+    // Flash sizes tried when probing, smallest first. The XIP window is
+    // 16 MB, so anything that does not mirror below that is taken as 16 MB.
+    static MIN_PROBE_FLASH_SIZE = 256 * 1024;
+    static MAX_FLASH_SIZE = 16 * 1024 * 1024;
+
+    /**
+     * Find the size of the flash chip. Reads past the end of the chip wrap
+     * around to its start, so the size is the first power of two whose first
+     * sectors read back the same as sectors 0 and 1.
+     *
+     * Needs exclusive access and exitXip() already done. Throws if the start
+     * of flash is erased, since an erased chip mirrors at every size.
+     *
+     * @returns {Promise<number>} - Flash size in bytes
+     */
+    async _probeFlashSize() {
+        const FLASH_BASE = PicobootConnection.RP2040_FLASH_START;
+        const SECTOR = PicobootConnection.FLASH_SECTOR_SIZE;
+        const first = await this._readSector(FLASH_BASE);
+        const second = await this._readSector(FLASH_BASE + SECTOR);
+        if (first.length !== SECTOR || second.length !== SECTOR) {
+            throw new Error('Could not read the start of flash to detect its size');
+        }
+        if (first.every(b => b === 0xFF)) {
+            throw new Error('Flash size could not be detected (start of flash is erased)');
+        }
+
+        const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+        for (let size = PicobootConnection.MIN_PROBE_FLASH_SIZE;
+            size < PicobootConnection.MAX_FLASH_SIZE; size *= 2) {
+            if (same(await this._readSector(FLASH_BASE + size), first) &&
+                same(await this._readSector(FLASH_BASE + size + SECTOR), second)) {
+                return size;
+            }
+        }
+        return PicobootConnection.MAX_FLASH_SIZE;
+    }
+
+    /**
+     * Read the device's flash and return every page that is not erased.
+     * Erased (all 0xFF) pages are left out so the image stays compact.
+     *
+     * Must be called after connect(). Handles exitXip() internally. The
+     * scanned size is detected with _probeFlashSize() unless given, and is
+     * left in this.flashSize.
+     *
+     * @param {Function} [onProgress] - Optional progress callback (current, total)
+     * @param {number} [flashSize] - Number of bytes to scan from the start of flash
+     * @returns {Promise<Array<{addr: number, data: Uint8Array}>>} - Page-sized blocks, sorted by address
+     */
+    async readFlashImage(onProgress = () => {}, flashSize = null) {
+        const FLASH_BASE = PicobootConnection.RP2040_FLASH_START;
+        const SECTOR = PicobootConnection.FLASH_SECTOR_SIZE;
+        const PAGE = PicobootConnection.FLASH_PAGE_SIZE;
+
+        await this.exclusiveAccess(true);
+        await this.exitXip();
+
+        const blocks = [];
+        let totalSectors = 0;
+        try {
+            flashSize = flashSize || await this._probeFlashSize();
+            this.flashSize = flashSize;
+            totalSectors = flashSize / SECTOR;
+            for (let i = 0; i < totalSectors; i++) {
+                onProgress(i, totalSectors);
+                const sectorAddr = FLASH_BASE + i * SECTOR;
+                const data = await this._readSector(sectorAddr);
+                for (let offset = 0; offset + PAGE <= data.length; offset += PAGE) {
+                    const page = data.slice(offset, offset + PAGE);
+                    if (page.some(b => b !== 0xFF)) {
+                        blocks.push({ addr: sectorAddr + offset, data: page });
+                    }
+                }
+            }
+        } finally {
+            try {
+                await this.exclusiveAccess(false);
+            } catch (_) { /* ignore */ }
+        }
+
+        onProgress(totalSectors, totalSectors);
+        return blocks;
+    }
+
+    /**
+     * Back up the device's flash as a UF2 image that flashUF2() can restore.
+     * RP2040 images use the RP2040 family; RP2350 images use the absolute
+     * family so they are written back to the same addresses regardless of
+     * the partition table.
+     *
+     * @param {Function} [onProgress] - Optional progress callback (current, total)
+     * @param {number} [flashSize] - Number of bytes to scan (detected if omitted)
+     * @returns {Promise<ArrayBuffer>} - UF2 file data
+     */
+    async backupFlash(onProgress = () => {}, flashSize = null) {
+        const blocks = await this.readFlashImage(onProgress, flashSize);
+        if (blocks.length === 0) {
+            throw new Error('Flash is empty — nothing to back up');
+        }
+        const familyId = this.chip === 'RP2350'
+            ? PicobootConnection.ABSOLUTE_FAMILY_ID
+            : PicobootConnection.RP2040_FAMILY_ID;
+        return PicobootConnection.buildUF2(blocks, familyId);
+    }
+
     // ========================================================================
     // UF2 Parser
     // ========================================================================
 
     /**
      * Parse a UF2 file into flash write operations.
+     *
+     * Blocks flagged "not main flash" are skipped. RP2350 UF2s may mix
+     * absolute-family blocks (e.g. the E10 errata workaround) with the main
+     * family; `familyId` reports the main (non-absolute) family.
+     *
      * @param {ArrayBuffer} uf2Data - Raw UF2 file data
-     * @returns {{ blocks: Array<{addr: number, data: Uint8Array}>, familyId: number, totalBlocks: number }}
+     * @returns {{ blocks: Array<{addr: number, data: Uint8Array, familyId: number}>, familyId: number, totalBlocks: number }}
      */
     static parseUF2(uf2Data) {
         const data = new Uint8Array(uf2Data);
@@ -528,13 +742,18 @@ class PicobootConnection {
             const numBlocksInFile = view.getUint32(24, true);
             const blockFamilyId = view.getUint32(28, true);
 
-            // Check family ID
-            if (flags & PicobootConnection.UF2_FLAG_FAMILY) {
-                if (i === 0) {
+            if (flags & PicobootConnection.UF2_FLAG_NOT_MAIN_FLASH) continue;
+
+            // Check family ID (absolute-family blocks may accompany any main family)
+            const hasFamily = !!(flags & PicobootConnection.UF2_FLAG_FAMILY);
+            if (hasFamily && blockFamilyId !== PicobootConnection.ABSOLUTE_FAMILY_ID) {
+                if (!familyId || familyId === PicobootConnection.ABSOLUTE_FAMILY_ID) {
                     familyId = blockFamilyId;
                 } else if (blockFamilyId !== familyId) {
                     throw new Error(`UF2 block ${i}: inconsistent family ID`);
                 }
+            } else if (hasFamily && !familyId) {
+                familyId = blockFamilyId;
             }
 
             // Extract payload data (starts at offset 32 in the block)
@@ -545,15 +764,14 @@ class PicobootConnection {
                 data: payload,
                 blockNo,
                 numBlocks: numBlocksInFile,
+                familyId: hasFamily ? blockFamilyId : 0,
             });
         }
 
         // Validate family ID for RP2040/RP2350
         const validFamilies = [
-            PicobootConnection.RP2040_FAMILY_ID,
-            PicobootConnection.RP2350_ARM_S_FAMILY_ID,
-            PicobootConnection.RP2350_ARM_NS_FAMILY_ID,
-            PicobootConnection.RP2350_RISCV_FAMILY_ID,
+            ...PicobootConnection.CHIP_FAMILIES.RP2040,
+            ...PicobootConnection.CHIP_FAMILIES.RP2350,
         ];
 
         if (familyId && !validFamilies.includes(familyId)) {
@@ -563,6 +781,36 @@ class PicobootConnection {
         return { blocks, familyId, totalBlocks: numBlocks };
     }
 
+    /**
+     * Build a UF2 file from flash blocks (inverse of parseUF2).
+     * Each block's data must be at most 476 bytes; flash pages (256 bytes) are used in practice.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks
+     * @param {number} familyId - UF2 family ID written into every block
+     * @returns {ArrayBuffer}
+     */
+    static buildUF2(blocks, familyId) {
+        const BLOCK = PicobootConnection.UF2_BLOCK_SIZE;
+        const buffer = new ArrayBuffer(blocks.length * BLOCK);
+        const bytes = new Uint8Array(buffer);
+
+        blocks.forEach((block, i) => {
+            const offset = i * BLOCK;
+            const view = new DataView(buffer, offset, BLOCK);
+            view.setUint32(0, PicobootConnection.UF2_MAGIC_START0, true);
+            view.setUint32(4, PicobootConnection.UF2_MAGIC_START1, true);
+            view.setUint32(8, PicobootConnection.UF2_FLAG_FAMILY, true);
+            view.setUint32(12, block.addr, true);
+            view.setUint32(16, block.data.length, true);
+            view.setUint32(20, i, true);
+            view.setUint32(24, blocks.length, true);
+            view.setUint32(28, familyId, true);
+            bytes.set(block.data, offset + 32);
+            view.setUint32(BLOCK - 4, PicobootConnection.UF2_MAGIC_END, true);
+        });
+
+        return buffer;
+    }
+
     // ========================================================================
     // Binary Info Extraction (from Pico SDK bi_decl() data embedded in UF2)
     // ========================================================================
@@ -869,10 +1117,22 @@ class PicobootConnection {
         };
     }
 
+    /**
+     * Check whether a chip's bootrom accepts a UF2 family.
+     * Images without a family ID (family 0) are accepted by both chips.
+     * @param {number} familyId - UF2 family ID
+     * @param {string} chip - 'RP2040' | 'RP2350'
+     * @returns {boolean}
+     */
+    static isFamilyCompatible(familyId, chip) {
+        if (!familyId || !chip) return true;
+        return (PicobootConnection.CHIP_FAMILIES[chip] || []).includes(familyId);
+    }
+
     /**
      * Get human-readable info about a UF2 file, including PicoCTR binary info.
      * @param {ArrayBuffer} uf2Data
-     * @returns {{ blocks: number, familyId: string, minAddr: string, maxAddr: string, totalSize: number, board: string|null, variant: string|null, version: string|null, git: string|null, isPicoCTR: boolean }}
+     * @returns {{ blocks: number, familyId: string, family: number, minAddr: string, maxAddr: string, totalSize: number, board: string|null, variant: string|null, version: string|null, git: string|null, isPicoCTR: boolean }}
      */
     static getUF2Info(uf2Data) {
         const parsed = PicobootConnection.parseUF2(uf2Data);
@@ -882,6 +1142,8 @@ class PicobootConnection {
             [PicobootConnection.RP2350_ARM_S_FAMILY_ID]: 'RP2350 (ARM-S)',
             [PicobootConnection.RP2350_ARM_NS_FAMILY_ID]: 'RP2350 (ARM-NS)',
             [PicobootConnection.RP2350_RISCV_FAMILY_ID]: 'RP2350 (RISC-V)',
+            [PicobootConnection.ABSOLUTE_FAMILY_ID]: 'RP2350 (absolute)',
+            [PicobootConnection.DATA_FAMILY_ID]: 'RP2350 (data)',
         };
 
         let minAddr = Infinity, maxAddr = 0;
@@ -898,6 +1160,7 @@ class PicobootConnection {
         return {
             blocks: parsed.totalBlocks,
             familyId: familyNames[parsed.familyId] || `Unknown (0x${parsed.familyId.toString(16).toUpperCase()})`,
+            family: parsed.familyId,
             minAddr: `0x${minAddr.toString(16).toUpperCase()}`,
             maxAddr: `0x${maxAddr.toString(16).toUpperCase()}`,
             totalSize: totalPayload,
@@ -952,19 +1215,309 @@ class PicobootConnection {
         return ranges;
     }
 
+    /**
+     * Group UF2 blocks by the flash sector(s) they touch.
+     * A block that crosses a sector boundary is listed under every sector it touches.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks
+     * @returns {Map<number, Array<{addr: number, data: Uint8Array}>>} - Sector address → blocks
+     */
+    static _groupBlocksBySector(blocks) {
+        const sectorMap = new Map();
+        for (const block of blocks) {
+            const startSector = Math.floor(block.addr / PicobootConnection.FLASH_SECTOR_SIZE) * PicobootConnection.FLASH_SECTOR_SIZE;
+            const endAddr = block.addr + block.data.length;
+            for (let s = startSector; s < endAddr; s += PicobootConnection.FLASH_SECTOR_SIZE) {
+                if (!sectorMap.has(s)) sectorMap.set(s, []);
+                sectorMap.get(s).push(block);
+            }
+        }
+        return sectorMap;
+    }
+
+    /**
+     * Check whether the bytes read from one sector match every UF2 block byte
+     * that falls inside it. Bytes the UF2 does not define are ignored.
+     * @param {number} sectorAddr - Sector start address
+     * @param {Array<{addr: number, data: Uint8Array}>} sectorBlocks - Blocks touching this sector
+     * @param {Uint8Array} flashData - Sector contents read from the device
+     * @returns {number} - Address of the first mismatching byte, or -1 if the sector matches
+     */
+    static _findSectorMismatch(sectorAddr, sectorBlocks, flashData) {
+        const sectorEnd = sectorAddr + PicobootConnection.FLASH_SECTOR_SIZE;
+        for (const block of sectorBlocks) {
+            const start = Math.max(block.addr, sectorAddr);
+            const end = Math.min(block.addr + block.data.length, sectorEnd);
+            for (let addr = start; addr < end; addr++) {
+                const offset = addr - sectorAddr;
+                if (offset >= flashData.length || flashData[offset] !== block.data[addr - block.addr]) {
+                    return addr;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Read one full flash sector.
+     * @param {number} sectorAddr - Sector start address
+     * @returns {Promise<Uint8Array>}
+     */
+    async _readSector(sectorAddr) {
+        const data = await this.flashRead(sectorAddr, PicobootConnection.FLASH_SECTOR_SIZE);
+        return new Uint8Array(data || new ArrayBuffer(0));
+    }
+
+    /**
+     * Write the parts of the given blocks that fall inside one sector.
+     * The sector must already be erased.
+     * @param {number} sectorAddr - Sector start address
+     * @param {Array<{addr: number, data: Uint8Array}>} sectorBlocks - Blocks touching this sector
+     */
+    async _writeSector(sectorAddr, sectorBlocks) {
+        const sectorEnd = sectorAddr + PicobootConnection.FLASH_SECTOR_SIZE;
+        for (const block of sectorBlocks) {
+            const start = Math.max(block.addr, sectorAddr);
+            const end = Math.min(block.addr + block.data.length, sectorEnd);
+            for (let addr = start; addr < end; addr += PicobootConnection.FLASH_PAGE_SIZE) {
+                const chunkEnd = Math.min(addr + PicobootConnection.FLASH_PAGE_SIZE, end);
+                await this.flashWrite(addr, block.data.slice(addr - block.addr, chunkEnd - block.addr));
+            }
+        }
+    }
+
+    /**
+     * Read back every sector written by the UF2 and compare it to the blocks.
+     * A mismatching sector is erased and rewritten once; if it still does not
+     * match, an error is thrown so the caller never reboots into a bad image.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks - Parsed UF2 blocks
+     * @param {Function} onProgress - Callback: (phase, current, total, message) => void
+     */
+    async _verifyBlocks(blocks, onProgress) {
+        const sectorMap = PicobootConnection._groupBlocksBySector(blocks);
+        const sectors = Array.from(sectorMap.keys()).sort((a, b) => a - b);
+
+        for (let i = 0; i < sectors.length; i++) {
+            const sectorAddr = sectors[i];
+            const sectorBlocks = sectorMap.get(sectorAddr);
+            const hexAddr = `0x${sectorAddr.toString(16).toUpperCase()}`;
+            onProgress('verify', i, sectors.length, `Verifying sector ${i + 1}/${sectors.length} @ ${hexAddr}...`);
+
+            let mismatch = PicobootConnection._findSectorMismatch(sectorAddr, sectorBlocks, await this._readSector(sectorAddr));
+            if (mismatch < 0) continue;
+
+            // Retry once: erase and rewrite just this sector
+            console.warn(`Verify mismatch at 0x${mismatch.toString(16).toUpperCase()}, rewriting sector ${hexAddr}...`);
+            onProgress('verify', i, sectors.length, `Mismatch in sector ${hexAddr}, retrying...`);
+            await this.flashErase(sectorAddr, PicobootConnection.FLASH_SECTOR_SIZE);
+            await this._writeSector(sectorAddr, sectorBlocks);
+
+            mismatch = PicobootConnection._findSectorMismatch(sectorAddr, sectorBlocks, await this._readSector(sectorAddr));
+            if (mismatch >= 0) {
+                throw new Error(`Verify failed at 0x${mismatch.toString(16).toUpperCase()} after retry — device was not rebooted`);
+            }
+        }
+        onProgress('verify', sectors.length, sectors.length, `Verified ${sectors.length} sectors`);
+    }
+
+    /**
+     * Read every sector the UF2 touches and keep only the ones whose contents differ.
+     * Returned blocks are clipped to the changed sectors, so the erase/write/verify
+     * phases operate on them unchanged.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks - Parsed UF2 blocks
+     * @param {Function} onProgress - Callback: (phase, current, total, message) => void
+     * @returns {Promise<Array<{addr: number, data: Uint8Array}>>}
+     */
+    async _filterChangedBlocks(blocks, onProgress) {
+        const sectorMap = PicobootConnection._groupBlocksBySector(blocks);
+        const sectors = Array.from(sectorMap.keys()).sort((a, b) => a - b);
+        const changed = [];
+        let changedSectors = 0;
+
+        for (let i = 0; i < sectors.length; i++) {
+            const sectorAddr = sectors[i];
+            const sectorBlocks = sectorMap.get(sectorAddr);
+            onProgress('compare', i, sectors.length,
+                `Comparing sector ${i + 1}/${sectors.length} @ 0x${sectorAddr.toString(16).toUpperCase()}...`);
+
+            const flashData = await this._readSector(sectorAddr);
+            if (PicobootConnection._findSectorMismatch(sectorAddr, sectorBlocks, flashData) < 0) continue;
+
+            changedSectors++;
+            const sectorEnd = sectorAddr + PicobootConnection.FLASH_SECTOR_SIZE;
+            for (const block of sectorBlocks) {
+                const start = Math.max(block.addr, sectorAddr);
+                const end = Math.min(block.addr + block.data.length, sectorEnd);
+                changed.push({ addr: start, data: block.data.slice(start - block.addr, end - block.addr) });
+            }
+        }
+        onProgress('compare', sectors.length, sectors.length,
+            `${sectors.length - changedSectors} of ${sectors.length} sectors unchanged`);
+
+        return changed;
+    }
+
+    /**
+     * Relocate RP2350 blocks into the partition the bootrom selects for their family.
+     * Partition images are linked at the XIP base; the bootrom maps the partition
+     * there at runtime, so each block moves by the partition's flash offset.
+     * Absolute/data images and devices without a partition table are unchanged.
+     * @param {Array<{addr: number, data: Uint8Array, familyId: number}>} blocks - Sorted UF2 blocks
+     * @param {number} familyId - Main UF2 family ID
+     * @returns {Promise<Array<{addr: number, data: Uint8Array}>>}
+     */
+    async _relocateForPartition(blocks, familyId) {
+        if (!familyId ||
+            familyId === PicobootConnection.ABSOLUTE_FAMILY_ID ||
+            familyId === PicobootConnection.DATA_FAMILY_ID) {
+            return blocks;
+        }
+
+        let partition = null;
+        try {
+            partition = await this.getUF2TargetPartition(familyId);
+        } catch (err) {
+            console.warn(`GET_INFO failed, writing UF2 at absolute addresses: ${err.message}`);
+            try { await this._resetInterface(); } catch (_) { /* best effort */ }
+        }
+        if (!partition) return blocks;
+
+        const flashBase = PicobootConnection.RP2040_FLASH_START;
+        const partitionSize = partition.end - partition.start;
+        return blocks.map(block => {
+            // Absolute-family blocks are never relocated
+            if (block.familyId === PicobootConnection.ABSOLUTE_FAMILY_ID) return block;
+            const offset = block.addr - flashBase;
+            if (offset < 0 || offset + block.data.length > partitionSize) {
+                throw new Error(`UF2 block @ 0x${block.addr.toString(16).toUpperCase()} does not fit in partition ${partition.index}`);
+            }
+            return { ...block, addr: flashBase + partition.start + offset };
+        }).sort((a, b) => a.addr - b.addr);
+    }
+
+    /**
+     * Find the protected regions that flashing these blocks would erase.
+     * Erasing is sector-granular, so a region overlaps if it shares any
+     * sector with the UF2, not only if UF2 bytes land inside it.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks
+     * @param {Array<{name: string, label?: string, addr: number, length: number}>} regions - Absolute flash addresses
+     * @returns {Array<{name: string, label?: string, addr: number, length: number}>}
+     */
+    static findProtectedOverlaps(blocks, regions = []) {
+        if (!regions.length) return [];
+        const ranges = PicobootConnection._computeEraseRanges(blocks);
+        return regions.filter(region => ranges.some(r =>
+            region.addr < r.addr + r.length && r.addr < region.addr + region.length));
+    }
+
+    /**
+     * Remove the bytes in [start, end) from a list of blocks, splitting blocks as needed.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks
+     * @param {number} start
+     * @param {number} end
+     * @returns {Array<{addr: number, data: Uint8Array}>}
+     */
+    static _excludeRange(blocks, start, end) {
+        const result = [];
+        for (const block of blocks) {
+            const blockEnd = block.addr + block.data.length;
+            if (blockEnd <= start || block.addr >= end) {
+                result.push(block);
+                continue;
+            }
+            if (block.addr < start) {
+                result.push({ ...block, data: block.data.slice(0, start - block.addr) });
+            }
+            if (blockEnd > end) {
+                result.push({ ...block, addr: end, data: block.data.slice(end - block.addr) });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Snapshot protected regions and substitute their current contents for
+     * the UF2's, so the normal erase/write/verify phases put them back.
+     * Regions must be page-aligned.
+     * @param {Array<{addr: number, data: Uint8Array}>} blocks - Sorted UF2 blocks
+     * @param {Array<{name: string, addr: number, length: number}>} regions
+     * @returns {Promise<Array<{addr: number, data: Uint8Array}>>}
+     */
+    async _preserveRegions(blocks, regions) {
+        const PAGE = PicobootConnection.FLASH_PAGE_SIZE;
+        let result = blocks;
+
+        for (const region of regions) {
+            if (region.addr % PAGE !== 0 || region.length % PAGE !== 0) {
+                throw new Error(`Protected region "${region.name}" is not page-aligned`);
+            }
+            result = PicobootConnection._excludeRange(result, region.addr, region.addr + region.length);
+
+            for (let addr = region.addr; addr < region.addr + region.length; addr += PAGE) {
+                const page = new Uint8Array(await this.flashRead(addr, PAGE));
+                // Erased pages need no write: the sector erase restores them
+                if (page.some(b => b !== 0xFF)) {
+                    result.push({ addr, data: page });
+                }
+            }
+        }
+
+        return result.sort((a, b) => a.addr - b.addr);
+    }
+
     /**
      * Flash a UF2 firmware image to the device.
      *
+     * Protected regions (e.g. the on-device settings sector) are checked
+     * against the sectors the UF2 would erase. Depending on protectMode the
+     * flash is refused, the regions' current contents are snapshotted and
+     * written back, or the UF2 is allowed to overwrite them.
+     *
+     * In differential mode each target sector is read first and only sectors
+     * whose contents differ from the UF2 are erased and written. Bytes in a
+     * changed sector that the UF2 does not cover are still erased; bytes in a
+     * skipped sector are left exactly as they were.
+     *
+     * With eraseAll the whole chip (size detected as for a backup) is erased
+     * before writing, so sectors the UF2 does not cover end up erased too.
+     * Restoring a backup needs this: the backup leaves out erased pages, and
+     * anything written there since must not survive the restore. eraseAll
+     * ignores differential.
+     *
      * @param {ArrayBuffer} uf2Data - The UF2 file data
      * @param {Function} onProgress - Callback: (phase, current, total, message) => void
-     *   phase: 'parse' | 'erase' | 'write' | 'reboot' | 'done' | 'error'
-     * @returns {Promise<void>}
+     *   phase: 'parse' | 'compare' | 'erase' | 'write' | 'verify' | 'reboot' | 'done' | 'error'
+     * @param {Object} [options]
+     * @param {boolean} [options.verify=false] - Read back and compare all written sectors before rebooting
+     * @param {boolean} [options.differential=false] - Skip sectors that already hold the UF2 contents
+     * @param {boolean} [options.eraseAll=false] - Erase all of flash, not just the sectors the UF2 covers
+     * @param {Array<{name: string, label?: string, addr: number, length: number}>} [options.protectedRegions=[]]
+     *   Flash regions (absolute addresses) that hold on-device data
+     * @param {string} [options.protectMode='refuse'] - 'refuse' | 'preserve' | 'overwrite'
+     * @returns {Promise<{ totalSectors: number, skippedSectors: number, preservedRegions: Array<string> }>}
      */
-    async flashUF2(uf2Data, onProgress = () => {}) {
+    async flashUF2(uf2Data, onProgress = () => {}, options = {}) {
+        const {
+            verify = false,
+            differential = false,
+            eraseAll = false,
+            protectedRegions = [],
+            protectMode = 'refuse',
+        } = options;
+
         try {
             // Phase 1: Parse UF2
             onProgress('parse', 0, 1, 'Parsing UF2 file...');
-            const { blocks } = PicobootConnection.parseUF2(uf2Data);
+            const parsed = PicobootConnection.parseUF2(uf2Data);
+            const { familyId } = parsed;
+
+            if (!PicobootConnection.isFamilyCompatible(familyId, this.chip)) {
+                throw new Error(`UF2 family 0x${familyId.toString(16).toUpperCase()} does not match the connected ${this.chip}`);
+            }
+
+            // The RP2350-E10 workaround block is consumed by the bootrom, never written
+            let blocks = parsed.blocks.filter(b => !(
+                b.familyId === PicobootConnection.ABSOLUTE_FAMILY_ID &&
+                b.addr === PicobootConnection.RP2350_E10_BLOCK_ADDR));
 
             if (blocks.length === 0) {
                 throw new Error('UF2 file contains no data blocks');
@@ -979,8 +1532,46 @@ class PicobootConnection {
             await this.exclusiveAccess(true);
             await this.exitXip();
 
+            // RP2350: relocate partition images the same way the bootrom does for drag-and-drop
+            if (this.chip === 'RP2350') {
+                blocks = await this._relocateForPartition(blocks, familyId);
+            }
+
+            // Protect on-device storage (settings, pin maps) from being erased
+            const overlaps = eraseAll
+                ? protectedRegions
+                : PicobootConnection.findProtectedOverlaps(blocks, protectedRegions);
+            const regionNames = overlaps.map(r => r.label || r.name).join(', ');
+            if (overlaps.length > 0 && protectMode === 'refuse') {
+                throw new Error(`UF2 would erase protected flash region(s): ${regionNames}`);
+            }
+            if (overlaps.length > 0 && protectMode === 'preserve') {
+                onProgress('erase', 0, 1, `Preserving ${regionNames}...`);
+                blocks = await this._preserveRegions(blocks, overlaps);
+            }
+
+            const totalSectors = PicobootConnection._groupBlocksBySector(blocks).size;
+            let writeBlocks = blocks;
+            if (differential && !eraseAll) {
+                writeBlocks = await this._filterChangedBlocks(blocks, onProgress);
+            }
+            const skippedSectors = totalSectors - PicobootConnection._groupBlocksBySector(writeBlocks).size;
+
             // Phase 3: Erase sectors
-            const eraseRanges = PicobootConnection._computeEraseRanges(blocks);
+            let eraseRanges = PicobootConnection._computeEraseRanges(writeBlocks);
+            if (eraseAll) {
+                this.flashSize = await this._probeFlashSize();
+                const end = Math.max(...eraseRanges.map(r => r.addr + r.length));
+                if (end > PicobootConnection.RP2040_FLASH_START + this.flashSize) {
+                    throw new Error(`UF2 does not fit in the ${this.flashSize / 1024} KB flash`);
+                }
+                // 64 KB at a time so the progress bar moves during a full-chip erase
+                const CHUNK = 64 * 1024;
+                eraseRanges = [];
+                for (let offset = 0; offset < this.flashSize; offset += CHUNK) {
+                    eraseRanges.push({ addr: PicobootConnection.RP2040_FLASH_START + offset, length: CHUNK });
+                }
+            }
             const totalEraseSectors = eraseRanges.reduce((sum, r) => sum + r.length / PicobootConnection.FLASH_SECTOR_SIZE, 0);
             let erasedSectors = 0;
 
@@ -995,10 +1586,10 @@ class PicobootConnection {
             onProgress('erase', totalEraseSectors, totalEraseSectors, `Erased ${totalEraseSectors} sectors`);
 
             // Phase 4: Write pages
-            for (let i = 0; i < blocks.length; i++) {
-                const block = blocks[i];
-                onProgress('write', i, blocks.length,
-                    `Writing block ${i + 1}/${blocks.length} @ 0x${block.addr.toString(16).toUpperCase()}...`);
+            for (let i = 0; i < writeBlocks.length; i++) {
+                const block = writeBlocks[i];
+                onProgress('write', i, writeBlocks.length,
+                    `Writing block ${i + 1}/${writeBlocks.length} @ 0x${block.addr.toString(16).toUpperCase()}...`);
 
                 // Write data in FLASH_PAGE_SIZE (256-byte) chunks
                 for (let offset = 0; offset < block.data.length; offset += PicobootConnection.FLASH_PAGE_SIZE) {
@@ -1006,12 +1597,28 @@ class PicobootConnection {
                     await this.flashWrite(block.addr + offset, chunk);
                 }
             }
-            onProgress('write', blocks.length, blocks.length, `Wrote ${blocks.length} blocks`);
+            onProgress('write', writeBlocks.length, writeBlocks.length, `Wrote ${writeBlocks.length} blocks`);
+
+            // Phase 5: Verify (optional)
+            if (verify) {
+                await this._verifyBlocks(writeBlocks, onProgress);
+            }
 
-            // Phase 5: Reboot
+            // Phase 6: Reboot
             onProgress('reboot', 0, 1, 'Rebooting device...');
-            await this.reboot(0, 0, 500);
-            onProgress('done', 1, 1, 'Firmware update complete! Device is rebooting.');
+            if (this.chip === 'RP2350') {
+                await this.reboot2(PicobootConnection.REBOOT2_FLAG_REBOOT_TYPE_NORMAL, 500);
+            } else {
+                await this.reboot(0, 0, 500);
+            }
+            const skippedNote = differential ? ` (${skippedSectors} of ${totalSectors} sectors unchanged)` : '';
+            onProgress('done', 1, 1, `Firmware update complete${skippedNote}! Device is rebooting.`);
+
+            return {
+                totalSectors,
+                skippedSectors,
+                preservedRegions: protectMode === 'preserve' ? overlaps.map(r => r.name) : [],
+            };
 
         } catch (err) {
             onProgress('error', 0, 1, `Error: ${err.message}`);
@@ -0,0 +1,108 @@
+/**
+ * PicoCTR Mapping Presets
+ *
+ * Presets (picoctr-presets.json) describe standard layouts by player and
+ * control role rather than by pin, so one preset fits any board whose pin
+ * labels follow the usual "P1 UP" / "P2 B3" / "START" naming. Planning a
+ * preset against the device's labeled pins yields a list of changes that can
+ * be previewed before being written into the mapping.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRPresets {
+    static URL = 'picoctr-presets.json';
+
+    /** Fetch the preset list */
+    static async load(url = PicoCTRPresets.URL) {
+        const resp = await fetch(url);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        return data.presets || [];
+    }
+
+    /**
+     * Control role for a parsed label, as used in preset tables:
+     * UP/DOWN/LEFT/RIGHT, B<n>, START, COIN (null if it has no role).
+     */
+    static controlKey(info) {
+        switch (info.kind) {
+            case 'direction': return info.direction;
+            case 'button': return `B${info.number}`;
+            case 'start': return 'START';
+            case 'coin': return 'COIN';
+            default: return null;
+        }
+    }
+
+    /**
+     * Work out what a preset would change.
+     * @param {object} preset - entry from picoctr-presets.json
+     * @param {Array} buttons - [{ expIdx, pinIdx, pin }] labeled pins
+     * @param {object} ctx
+     * @param {object} ctx.config - picoctr-config.json contents
+     * @param {number} ctx.numGamepads - gamepads the device exposes
+     * @returns {{ changes: Array, unchanged: number, unmatched: string[], skipped: Array<{ label, reason }> }}
+     *   changes are { expIdx, pinIdx, label, from, to } with from/to as
+     *   { output_type, output_target, output_code }
+     */
+    static plan(preset, buttons, { config, numGamepads }) {
+        const pm = config.pin_mapping;
+        const result = { changes: [], unchanged: 0, unmatched: [], skipped: [] };
+
+        // Boards without player prefixes are treated as a single player 1
+        const parsed = buttons.map(b => ({ button: b, info: PicoCTRButtonLabels.parse(b.pin.label) }));
+        const hasPlayers = parsed.some(p => p.info.player !== null);
+
+        for (const { button, info } of parsed) {
+            const label = button.pin.label;
+            const player = info.player ?? (hasPlayers ? null : 1);
+            const key = PicoCTRPresets.controlKey(info);
+            const table = preset.all_players || preset.players?.[player];
+            const value = key && player !== null ? table?.[key] : undefined;
+            if (value === undefined) {
+                result.unmatched.push(label);
+                continue;
+            }
+
+            let to;
+            if (preset.output === 'keyboard') {
+                const k = PicoCTRKeyboardKeys.keys(config).find(kk => kk.name === value);
+                if (!k) {
+                    result.skipped.push({ label, reason: `unknown key ${value}` });
+                    continue;
+                }
+                to = { output_type: 3, output_target: 0, output_code: k.code };
+            } else {
+                const target = player - 1;
+                if (target >= numGamepads) {
+                    result.skipped.push({ label, reason: `device has ${numGamepads} gamepad(s)` });
+                    continue;
+                }
+                const dir = info.kind === 'direction' && pm.dpad_directions.find(d => d.name === value);
+                const btn = !dir && pm.gamepad_buttons.find(b => b.name === value);
+                if (dir) {
+                    to = { output_type: 2, output_target: target, output_code: dir.idx };
+                } else if (btn) {
+                    to = { output_type: 1, output_target: target, output_code: btn.idx };
+                } else {
+                    result.skipped.push({ label, reason: `unknown gamepad control ${value}` });
+                    continue;
+                }
+            }
+
+            const { pin } = button;
+            const from = {
+                output_type: pin.output_type,
+                output_target: pin.output_target,
+                output_code: pin.output_code,
+            };
+            if (from.output_type === to.output_type && from.output_target === to.output_target &&
+                from.output_code === to.output_code) {
+                result.unchanged++;
+            } else {
+                result.changes.push({ expIdx: button.expIdx, pinIdx: button.pinIdx, label, from, to });
+            }
+        }
+        return result;
+    }
+}
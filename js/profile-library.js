@@ -0,0 +1,110 @@
+/**
+ * PicoCTR Profile Library
+ *
+ * Stores named configuration profiles (see js/profile.js) in the browser's
+ * IndexedDB so alternative layouts can be kept and switched without juggling
+ * exported files. Each record is a profile plus library metadata:
+ *   { id, name, board, created, updated, ...profile }
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRProfileLibrary {
+    static DB_NAME = 'picoctr';
+    static DB_VERSION = 1;
+    static STORE = 'profiles';
+
+    constructor() {
+        this._db = null;
+    }
+
+    /** Check if IndexedDB is available in this browser */
+    static isSupported() {
+        return !!window.indexedDB;
+    }
+
+    /** Open (and create or upgrade) the database. Safe to call repeatedly. */
+    async open() {
+        if (this._db) return this._db;
+
+        this._db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open(PicoCTRProfileLibrary.DB_NAME, PicoCTRProfileLibrary.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(PicoCTRProfileLibrary.STORE)) {
+                    const store = db.createObjectStore(PicoCTRProfileLibrary.STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('board', 'board', { unique: false });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('Profile library is open in another tab with an older version'));
+        });
+        return this._db;
+    }
+
+    /**
+     * List stored profiles, newest first.
+     * @param {string} [board] - only return profiles for this board
+     */
+    async list(board) {
+        const records = await this._request('readonly', store =>
+            board ? store.index('board').getAll(board) : store.getAll()
+        );
+        return records.sort((a, b) => (b.updated || '').localeCompare(a.updated || ''));
+    }
+
+    /** Get one profile by id (undefined if missing) */
+    async get(id) {
+        return this._request('readonly', store => store.get(id));
+    }
+
+    /**
+     * Store a new profile under a name.
+     * @returns {number} the new record id
+     */
+    async save(name, profile) {
+        const now = new Date().toISOString();
+        const record = { ...profile, name, created: now, updated: now };
+        delete record.id;
+        return this._request('readwrite', store => store.add(record));
+    }
+
+    async rename(id, name) {
+        const record = await this._require(id);
+        record.name = name;
+        record.updated = new Date().toISOString();
+        await this._request('readwrite', store => store.put(record));
+    }
+
+    /** Copy a profile under a new name. Returns the new record id. */
+    async duplicate(id, name) {
+        const record = await this._require(id);
+        return this.save(name || `${record.name} (copy)`, record);
+    }
+
+    async delete(id) {
+        await this._request('readwrite', store => store.delete(id));
+    }
+
+    // ========================================================================
+    // Internals
+    // ========================================================================
+
+    async _require(id) {
+        const record = await this.get(id);
+        if (!record) throw new Error(`Profile ${id} not found`);
+        return record;
+    }
+
+    /** Run a single request in its own transaction and resolve with its result */
+    async _request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(PicoCTRProfileLibrary.STORE, mode);
+            const req = makeRequest(tx.objectStore(PicoCTRProfileLibrary.STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
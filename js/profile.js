@@ -0,0 +1,300 @@
+/**
+ * PicoCTR Configuration Profiles
+ *
+ * A profile is a single JSON document describing everything needed to
+ * reproduce one cabinet's setup: the settings fields listed in
+ * config.settings.fields, the pin maps of every expander, and the board,
+ * variant and firmware version it was taken from.
+ *
+ * Format reference: docs/PROFILE_FORMAT.md
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRProfile {
+    static FORMAT = 'picoctr-profile';
+    static VERSION = 2;
+
+    /**
+     * Build a profile from device state.
+     * @param {object} opts
+     * @param {object} opts.config - picoctr-config.json contents
+     * @param {object} opts.settings - settings values keyed by field name
+     * @param {Array} opts.expanders - [{ index, active, pins: [{ label, output_type, output_target, output_code, led? }] }]
+     * @param {object} [opts.deviceInfo] - result of PicoCTRDevice.getDeviceInfo()
+     * @param {string} [opts.name] - free-form profile name
+     */
+    static create({ config, settings, expanders, deviceInfo, name = '' }) {
+        const fieldSettings = {};
+        for (const field of PicoCTRProfile.settingsFields(config)) {
+            if (settings && settings[field.name] !== undefined) {
+                fieldSettings[field.name] = settings[field.name];
+            }
+        }
+
+        return {
+            format: PicoCTRProfile.FORMAT,
+            version: PicoCTRProfile.VERSION,
+            name,
+            board: deviceInfo?.board || 'unknown',
+            variant: deviceInfo?.variant || 'unknown',
+            firmware: deviceInfo?.version || 'unknown',
+            exported: new Date().toISOString(),
+            settings: fieldSettings,
+            expanders: (expanders || []).map(exp => ({
+                index: exp.index,
+                active: !!exp.active,
+                pins: exp.pins.map(p => PicoCTRProfile._pin(p, p.label || '')),
+            })),
+        };
+    }
+
+    /** Profile form of a pin; led is only included when the device reported one */
+    static _pin(p, label) {
+        const pin = label === undefined ? {} : { label };
+        pin.output_type = p.output_type;
+        pin.output_target = p.output_target;
+        pin.output_code = p.output_code;
+        if (p.led !== undefined) pin.led = p.led ? { index: p.led.index, r: p.led.r, g: p.led.g, b: p.led.b } : null;
+        return pin;
+    }
+
+    /**
+     * Parse, migrate and validate a profile.
+     * Throws an Error listing every problem found.
+     * @param {string|object} input - JSON text or already-parsed object
+     * @param {object} config - picoctr-config.json contents
+     * @returns {{ profile: object, warnings: string[], migratedFrom: number|null }}
+     */
+    static parse(input, config) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid profile: not a JSON object');
+        }
+
+        const originalVersion = data.version;
+        const profile = PicoCTRProfile.migrate(data);
+        const { errors, warnings } = PicoCTRProfile.validate(profile, config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid profile: ${errors.join('; ')}`);
+        }
+
+        return {
+            profile,
+            warnings,
+            migratedFrom: originalVersion !== profile.version ? originalVersion : null,
+        };
+    }
+
+    /**
+     * Upgrade an older profile to the current version.
+     * Version 1 files (mapping export) only carried the active expanders'
+     * pins, so the migrated profile has no settings.
+     */
+    static migrate(data) {
+        const version = data.version;
+        if (typeof version !== 'number' || !Number.isInteger(version) || version < 1) {
+            throw new Error('Invalid profile: missing or invalid version');
+        }
+        if (version > PicoCTRProfile.VERSION) {
+            throw new Error(`Profile version ${version} is newer than this page supports (v${PicoCTRProfile.VERSION}). Reload to get the latest version.`);
+        }
+
+        let profile = data;
+        if (profile.version === 1) {
+            profile = {
+                format: PicoCTRProfile.FORMAT,
+                version: 2,
+                name: '',
+                board: data.board || 'unknown',
+                variant: data.variant || 'unknown',
+                firmware: data.firmware || 'unknown',
+                exported: data.exported || '',
+                settings: null,
+                expanders: Array.isArray(data.expanders)
+                    ? data.expanders.map(exp => ({ ...exp, active: true }))
+                    : data.expanders,
+            };
+        }
+        return profile;
+    }
+
+    /**
+     * Check a current-version profile against the config schema.
+     * @returns {{ errors: string[], warnings: string[] }}
+     */
+    static validate(profile, config) {
+        const errors = [];
+        const warnings = [];
+
+        if (profile.format !== PicoCTRProfile.FORMAT) {
+            errors.push(`format must be "${PicoCTRProfile.FORMAT}"`);
+        }
+
+        // Settings (null means "not included")
+        if (profile.settings !== null && profile.settings !== undefined) {
+            if (typeof profile.settings !== 'object' || Array.isArray(profile.settings)) {
+                errors.push('settings must be an object');
+            } else {
+                const fields = PicoCTRProfile.settingsFields(config);
+                const known = new Set(fields.map(f => f.name));
+                for (const field of fields) {
+                    const value = profile.settings[field.name];
+                    if (value === undefined) continue;
+                    const problem = PicoCTRProfile._checkField(field, value, config);
+                    if (problem) errors.push(`settings.${field.name} ${problem}`);
+                }
+                for (const key of Object.keys(profile.settings)) {
+                    if (!known.has(key)) warnings.push(`Unknown setting "${key}" ignored`);
+                }
+            }
+        }
+
+        // Expanders
+        const pm = config?.pin_mapping || {};
+        const maxExpanders = pm.max_expanders ?? 4;
+        const pinsPerExpander = pm.pins_per_expander ?? 16;
+        const outputTypes = new Set((pm.output_types || []).map(t => t.value));
+
+        if (!Array.isArray(profile.expanders)) {
+            errors.push('expanders must be an array');
+            return { errors, warnings };
+        }
+
+        const seen = new Set();
+        profile.expanders.forEach((exp, e) => {
+            const where = `expanders[${e}]`;
+            if (!exp || typeof exp !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (!Number.isInteger(exp.index) || exp.index < 0 || exp.index >= maxExpanders) {
+                errors.push(`${where}.index must be 0-${maxExpanders - 1}`);
+                return;
+            }
+            if (seen.has(exp.index)) errors.push(`${where}.index ${exp.index} is duplicated`);
+            seen.add(exp.index);
+
+            if (!Array.isArray(exp.pins)) {
+                errors.push(`${where}.pins must be an array`);
+                return;
+            }
+            if (exp.pins.length > pinsPerExpander) {
+                errors.push(`${where} has ${exp.pins.length} pins (max ${pinsPerExpander})`);
+            }
+            exp.pins.forEach((pin, i) => {
+                const pinWhere = `${where}.pins[${i}]`;
+                if (!pin || typeof pin !== 'object') {
+                    errors.push(`${pinWhere} must be an object`);
+                    return;
+                }
+                for (const key of ['output_type', 'output_target', 'output_code']) {
+                    const v = pin[key] ?? 0;
+                    if (!Number.isInteger(v) || v < 0 || v > 255) {
+                        errors.push(`${pinWhere}.${key} must be an integer 0-255`);
+                    }
+                }
+                if (outputTypes.size > 0 && !outputTypes.has(pin.output_type ?? 0)) {
+                    warnings.push(`${pinWhere} uses output type ${pin.output_type} not known to this page`);
+                }
+                if (pin.led !== undefined && pin.led !== null) {
+                    const led = pin.led;
+                    if (typeof led !== 'object' || !Number.isInteger(led.index) || led.index < 0 || led.index > 254) {
+                        errors.push(`${pinWhere}.led.index must be an integer 0-254`);
+                    } else if (['r', 'g', 'b'].some(c => !Number.isInteger(led[c]) || led[c] < 0 || led[c] > 255)) {
+                        errors.push(`${pinWhere}.led r/g/b must be integers 0-255`);
+                    }
+                }
+            });
+        });
+
+        return { errors, warnings };
+    }
+
+    // ========================================================================
+    // Share links
+    // ========================================================================
+
+    /** URL fragment key carrying an encoded profile: #profile=<data> */
+    static LINK_PARAM = 'profile';
+
+    /** Check if this browser can build and open share links */
+    static canShareLinks() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Encode a profile for a URL fragment: deflate-raw compressed JSON in
+     * base64url. Pin labels and inactive expanders are left out, since
+     * labels come from the board the link is opened on.
+     * @returns {Promise<string>}
+     */
+    static async encodeLink(profile) {
+        const compact = {
+            ...profile,
+            expanders: profile.expanders
+                .filter(exp => exp.active)
+                .map(exp => ({
+                    index: exp.index,
+                    active: true,
+                    pins: exp.pins.map(p => PicoCTRProfile._pin(p)),
+                })),
+        };
+        const json = new TextEncoder().encode(JSON.stringify(compact));
+        const bytes = await PicoCTRProfile._transform(json, new CompressionStream('deflate-raw'));
+
+        let binary = '';
+        for (const b of bytes) binary += String.fromCharCode(b);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode link data produced by encodeLink, then parse and validate it.
+     * @returns {Promise<{ profile: object, warnings: string[], migratedFrom: number|null }>}
+     */
+    static async decodeLink(data, config) {
+        let bytes;
+        try {
+            const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+            bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            bytes = await PicoCTRProfile._transform(bytes, new DecompressionStream('deflate-raw'));
+        } catch {
+            throw new Error('Invalid profile link: data is damaged or incomplete');
+        }
+        return PicoCTRProfile.parse(new TextDecoder().decode(bytes), config);
+    }
+
+    static async _transform(bytes, stream) {
+        const out = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(out);
+    }
+
+    /** Settings field descriptors from config (empty if config is not loaded) */
+    static settingsFields(config) {
+        return config?.settings?.fields || [];
+    }
+
+    /** Validate one settings value against its field descriptor */
+    static _checkField(field, value, config) {
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            return 'must be an integer';
+        }
+        switch (field.type) {
+            case 'bool':
+                if (value !== 0 && value !== 1) return 'must be 0 or 1';
+                break;
+            case 'enum': {
+                const options = config?.enums?.[field.enum];
+                if (options && !options.some(o => o.id === value)) {
+                    return `is not a valid ${field.enum} value`;
+                }
+                break;
+            }
+            default: {
+                const min = field.min ?? 0;
+                const max = field.max ?? 255;
+                if (value < min || value > max) return `must be ${min}-${max}`;
+            }
+        }
+        return null;
+    }
+}
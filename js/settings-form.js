@@ -0,0 +1,279 @@
+/**
+ * PicoCTR Settings Form
+ *
+ * Builds the settings panel from config.settings.fields so settings added by
+ * new firmware appear without a web release. Each field becomes a control by
+ * type:
+ *
+ *   bool   toggle switch
+ *   enum   select filled from config.enums[field.enum]
+ *   uint8  slider with its value when it spans the whole 0-255 range (a
+ *          level such as brightness), otherwise a number input limited to
+ *          min/max. A field's `widget` ("slider" or "number") overrides this.
+ *
+ * Ungrouped fields go in the main form. A field's `group` either names a
+ * widget supplied by the app (an element holding inputs with data-field set
+ * to the group's field names, placed where the group's first field would be)
+ * or a subsection, titled from config.settings.groups or else the group name.
+ */
+
+// eslint-disable-next-line no-unused-vars
+class PicoCTRSettingsForm {
+    /**
+     * @param {object} config - picoctr-config.json contents
+     * @param {object} opts
+     * @param {HTMLElement} opts.container - main form
+     * @param {HTMLElement} opts.groupContainer - subsections go here
+     * @param {object} [opts.widgets] - group name to app-built element
+     * @param {function(string)} [opts.onInput] - called with the field name on every edit
+     */
+    constructor(config, { container, groupContainer, widgets = {}, onInput = () => {} }) {
+        this.config = config;
+        this.fields = config.settings?.fields || [];
+        this.container = container;
+        this.groupContainer = groupContainer;
+        this.widgets = widgets;
+        this.onInput = onInput;
+        this._inputs = new Map();       // field name -> [input, ...]
+        this._available = null;         // Set of field names, or null for all
+    }
+
+    /**
+     * Coerce a raw settings object (e.g. from get_settings) to the schema.
+     * Fields the object lacks are left out.
+     */
+    static normalize(fields, raw) {
+        const settings = {};
+        for (const field of fields) {
+            if (raw?.[field.name] === undefined) continue;
+            settings[field.name] = PicoCTRSettingsForm._coerce(field, raw[field.name]);
+        }
+        return settings;
+    }
+
+    /** Schema defaults for every field */
+    static defaults(fields) {
+        return Object.fromEntries(fields.map(f => [f.name, f.default]));
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.groupContainer.innerHTML = '';
+        this._inputs.clear();
+
+        const placed = new Set();
+        for (const field of this.fields) {
+            const group = field.group;
+            if (group && this.widgets[group]) {
+                if (placed.has(group)) continue;
+                placed.add(group);
+                const widget = this.widgets[group];
+                this.container.appendChild(widget);
+                for (const f of this.fields.filter(ff => ff.group === group)) {
+                    const input = widget.querySelector(`[data-field="${f.name}"]`);
+                    if (input) this._inputs.set(f.name, [input]);
+                }
+            } else if (group) {
+                this._subsection(group).appendChild(this._buildField(field));
+            } else {
+                this.container.appendChild(this._buildField(field));
+            }
+        }
+        this._applyAvailability();
+    }
+
+    /** Inputs for one field (widget fields share their widget's inputs) */
+    inputs(name) {
+        return this._inputs.get(name) || [];
+    }
+
+    /** The .form-group holding a field, for marking it modified */
+    formGroup(name) {
+        return this.inputs(name)[0]?.closest('.form-group') || null;
+    }
+
+    /** Selects of every enum field using `enumName` */
+    enumSelects(enumName) {
+        return this.fields
+            .filter(f => f.type === 'enum' && f.enum === enumName)
+            .flatMap(f => this.inputs(f.name));
+    }
+
+    /**
+     * Limit the form to the fields a device reports. With null every field
+     * is shown. Hidden fields are left out of values().
+     */
+    setAvailable(names) {
+        this._available = names ? new Set(names) : null;
+        this._applyAvailability();
+    }
+
+    isAvailable(name) {
+        return !this._available || this._available.has(name);
+    }
+
+    /** Fill inputs from a settings object; fields it lacks are left as they are */
+    setValues(settings) {
+        for (const field of this.fields) {
+            const value = settings[field.name];
+            if (value === undefined) continue;
+            const [input] = this.inputs(field.name);
+            if (!input) continue;
+            if (field.type === 'bool') {
+                input.checked = !!value;
+            } else {
+                input.value = value;
+                this._updateSliderValue(input);
+            }
+        }
+    }
+
+    /** Current value of every available field */
+    values() {
+        const settings = {};
+        for (const field of this.fields) {
+            if (!this.isAvailable(field.name)) continue;
+            const [input] = this.inputs(field.name);
+            if (!input) continue;
+            const raw = field.type === 'bool' ? input.checked : parseInt(input.value);
+            settings[field.name] = PicoCTRSettingsForm._coerce(field, raw);
+        }
+        return settings;
+    }
+
+    // ========================================================================
+    // Internals
+    // ========================================================================
+
+    /** "slider" or "number" for a uint8 field */
+    static _widget(field) {
+        if (field.widget) return field.widget;
+        return (field.min ?? 0) === 0 && (field.max ?? 255) === 255 ? 'slider' : 'number';
+    }
+
+    /** Subsection title for a group without a config.settings.groups entry: "idle_lighting" -> "Idle lighting" */
+    static _groupTitle(group) {
+        const words = group.replace(/[_-]+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    static _coerce(field, value) {
+        if (field.type === 'bool') return value ? 1 : 0;
+        const n = Number(value);
+        if (!Number.isFinite(n)) return field.default ?? 0;
+        return Math.min(field.max ?? Infinity, Math.max(field.min ?? 0, Math.round(n)));
+    }
+
+    _subsection(group) {
+        let section = this.groupContainer.querySelector(`[data-group="${group}"]`);
+        if (section) return section.querySelector('.settings-form');
+
+        const meta = (this.config.settings?.groups || []).find(g => g.name === group) || {};
+        section = document.createElement('div');
+        section.className = 'settings-subsection';
+        section.dataset.group = group;
+        const title = document.createElement('h3');
+        title.textContent = meta.label || PicoCTRSettingsForm._groupTitle(group);
+        section.appendChild(title);
+        if (meta.description) {
+            const desc = document.createElement('p');
+            desc.className = 'section-desc';
+            desc.textContent = meta.description;
+            section.appendChild(desc);
+        }
+        const form = document.createElement('div');
+        form.className = 'settings-form';
+        section.appendChild(form);
+        this.groupContainer.appendChild(section);
+        return form;
+    }
+
+    _buildField(field) {
+        const id = `setting-${field.name}`;
+        const row = document.createElement('div');
+        row.className = 'form-group';
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.label || field.name;
+        row.appendChild(label);
+
+        let input;
+        if (field.type === 'bool') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'toggle-wrapper';
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'toggle-input';
+            const toggle = document.createElement('label');
+            toggle.htmlFor = id;
+            toggle.className = 'toggle-label';
+            wrapper.append(input, toggle);
+            row.appendChild(wrapper);
+        } else if (field.type === 'enum') {
+            input = document.createElement('select');
+            input.className = 'form-select';
+            for (const opt of this.config.enums?.[field.enum] || []) {
+                const el = document.createElement('option');
+                el.value = opt.id;
+                el.textContent = opt.label;
+                input.appendChild(el);
+            }
+            row.appendChild(input);
+        } else if (PicoCTRSettingsForm._widget(field) === 'slider') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'slider-wrapper';
+            input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'form-range';
+            const value = document.createElement('span');
+            value.className = 'range-value';
+            value.textContent = '0';
+            wrapper.append(input, value);
+            row.appendChild(wrapper);
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            row.appendChild(input);
+        }
+
+        input.id = id;
+        input.dataset.field = field.name;
+        if (input.type === 'range' || input.type === 'number') {
+            input.min = field.min ?? 0;
+            input.max = field.max ?? 255;
+        }
+        const notify = () => {
+            this._updateSliderValue(input);
+            this.onInput(field.name);
+        };
+        input.addEventListener('input', notify);
+        input.addEventListener('change', notify);
+
+        this._inputs.set(field.name, [input]);
+        return row;
+    }
+
+    _updateSliderValue(input) {
+        if (input.type !== 'range') return;
+        const value = input.parentElement.querySelector('.range-value');
+        if (value) value.textContent = input.value;
+    }
+
+    _applyAvailability() {
+        for (const field of this.fields) {
+            if (field.group && this.widgets[field.group]) continue;
+            const group = this.formGroup(field.name);
+            if (group) group.style.display = this.isAvailable(field.name) ? '' : 'none';
+        }
+        // Widgets and subsections disappear when none of their fields are available
+        for (const [name, widget] of Object.entries(this.widgets)) {
+            const available = this.fields.some(f => f.group === name && this.isAvailable(f.name));
+            widget.classList.toggle('settings-unavailable', !available);
+        }
+        for (const section of this.groupContainer.querySelectorAll('.settings-subsection')) {
+            const available = this.fields.some(f => f.group === section.dataset.group && this.isAvailable(f.name));
+            section.style.display = available ? '' : 'none';
+        }
+    }
+}
@@ -11,6 +11,12 @@
  */
 
 class PicoCTRDevice {
+    /** LED map index meaning "this pin has no LED" */
+    static LED_NONE = 0xFF;
+
+    /** Custom animation bytes per command, keeping each frame well under 1023 bytes */
+    static CUSTOM_ANIMATION_CHUNK = 256;
+
     constructor(config) {
         this.config = config;
         this.device = null;
@@ -267,7 +273,8 @@ class PicoCTRDevice {
 
     /**
      * Read current in-memory RGB/LED settings.
-     * Returns: { enable_rgb, rgb_animation, rgb_r, rgb_g, rgb_b, led_count, led_brightness }
+     * Returns one value per settings field the firmware has, keyed by the
+     * names in config.settings.fields (e.g. { enable_rgb, rgb_animation, ... }).
      */
     async getSettings() {
         return this.sendCommand({ cmd: 'get_settings' });
@@ -298,7 +305,7 @@ class PicoCTRDevice {
                 this.getFlashSettings(),
             ]);
             // Compare the settings fields only
-            const fields = ['enable_rgb', 'rgb_animation', 'rgb_r', 'rgb_g', 'rgb_b', 'led_count', 'led_brightness'];
+            const fields = this.config.settings.fields.map(f => f.name);
             return fields.some(f => current[f] !== flash[f]);
         } catch {
             return false;
@@ -317,6 +324,14 @@ class PicoCTRDevice {
         return this.sendCommand({ cmd: 'get_pin_map', expander });
     }
 
+    /**
+     * Get flash-persisted pin mappings for one expander (for detecting unsaved changes).
+     * Returns: { expander, pins: [{ t, tg, c }, ...] }
+     */
+    async getFlashPinMap(expander) {
+        return this.sendCommand({ cmd: 'get_flash_pin_map', expander });
+    }
+
     /**
      * Set pin mappings for one expander (16 pins).
      * pins: [{ t, tg, c }, ...] (16 entries)
@@ -362,6 +377,134 @@ class PicoCTRDevice {
         return expanders;
     }
 
+    /**
+     * Read the raw pressed state of every expander pin (for live input testing).
+     * Returns: { states: [bitmask, ...] } one uint16 per expander, bit n = pin n pressed
+     */
+    async getPinStates() {
+        return this.sendCommand({ cmd: 'get_pin_states' });
+    }
+
+    /**
+     * Load flash-persisted pin maps for all expanders.
+     * Returns array of { index, pins: [{ output_type, output_target, output_code }] }
+     * Throws on firmware without get_flash_pin_map.
+     */
+    async loadFlashPinMaps(numExpanders = 4) {
+        const expanders = [];
+        for (let exp = 0; exp < numExpanders; exp++) {
+            const pinMap = await this.getFlashPinMap(exp);
+            expanders.push({
+                index: exp,
+                pins: (pinMap.pins || []).map(pin => ({
+                    output_type: pin.t,
+                    output_target: pin.tg,
+                    output_code: pin.c,
+                })),
+            });
+        }
+        return expanders;
+    }
+
+    // ========================================================================
+    // Button LEDs
+    // ========================================================================
+
+    /**
+     * Get the LED assigned to each pin of one expander (16 entries).
+     * Returns: { expander, leds: [{ i, r, g, b }, ...] } where i is the LED's
+     * position on the strip (LED_NONE if the pin has no LED) and r/g/b its color.
+     */
+    async getLedMap(expander) {
+        return this.sendCommand({ cmd: 'get_led_map', expander });
+    }
+
+    /**
+     * Set per-pin LEDs for one expander (live, not saved to flash).
+     * leds: [{ i, r, g, b }, ...] (16 entries)
+     */
+    async setLedMap(expander, leds) {
+        return this.sendCommand({ cmd: 'set_led_map', expander, leds });
+    }
+
+    /**
+     * Load LED maps for all expanders.
+     * Returns array of { index, leds: [{ index, r, g, b } | null, ...] } (null = no LED)
+     * Throws on firmware without get_led_map.
+     */
+    async loadLedMaps(numExpanders = 4) {
+        const expanders = [];
+        for (let exp = 0; exp < numExpanders; exp++) {
+            const ledMap = await this.getLedMap(exp);
+            expanders.push({
+                index: exp,
+                leds: (ledMap.leds || []).map(led =>
+                    led.i === PicoCTRDevice.LED_NONE ? null : { index: led.i, r: led.r, g: led.g, b: led.b }
+                ),
+            });
+        }
+        return expanders;
+    }
+
+    // ========================================================================
+    // Custom Animation
+    // ========================================================================
+
+    /**
+     * Read the uploaded custom animation (see PicoCTRCustomAnimation for the
+     * byte layout). Each get_custom_animation call returns up to one chunk:
+     * { animation, offset, total, data } with data as hex and animation the
+     * rgb_animation value that plays it.
+     * Returns { bytes: Uint8Array (empty if none was uploaded), animation }.
+     * Throws on firmware without custom animations.
+     */
+    async getCustomAnimation() {
+        let bytes = new Uint8Array(0);
+        let total = 0;
+        let animation;
+        do {
+            const resp = await this.sendCommand({ cmd: 'get_custom_animation', offset: bytes.length });
+            animation = resp.animation ?? animation;
+            const chunk = PicoCTRDevice._fromHex(resp.data || '');
+            if (chunk.length === 0) break;
+            total = resp.total || 0;
+            const merged = new Uint8Array(bytes.length + chunk.length);
+            merged.set(bytes);
+            merged.set(chunk, bytes.length);
+            bytes = merged;
+        } while (bytes.length < total);
+        return { bytes, animation };
+    }
+
+    /**
+     * Upload a custom animation (live, saved to flash with save()).
+     * Sent as set_custom_animation { offset, total, data } chunks; the
+     * firmware switches to the new animation once the last chunk arrives.
+     */
+    async setCustomAnimation(bytes) {
+        const size = PicoCTRDevice.CUSTOM_ANIMATION_CHUNK;
+        for (let offset = 0; offset < bytes.length; offset += size) {
+            await this.sendCommand({
+                cmd: 'set_custom_animation',
+                offset,
+                total: bytes.length,
+                data: PicoCTRDevice._toHex(bytes.subarray(offset, offset + size)),
+            });
+        }
+    }
+
+    static _toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static _fromHex(hex) {
+        const bytes = new Uint8Array(hex.length >> 1);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
     // ========================================================================
     // Commands
     // ========================================================================